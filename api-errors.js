@@ -0,0 +1,124 @@
+/**
+ * API Errors
+ * Typed errors raised by BingXAPI.request(), so callers can tell a network
+ * blip from a rejected request instead of treating both as "no data".
+ */
+
+// BingX response codes by error type
+const AUTH_CODES = [100001, 100413, 100419]; // Signature, API key, IP whitelist
+const TIMESTAMP_CODE = 100421; // Timestamp outside recvWindow (clock drift)
+const RATE_LIMIT_CODES = [100410];
+const SERVER_BUSY_CODES = [100500, 80012];
+
+/**
+ * Base class for every API error
+ */
+class ApiError extends Error {
+  constructor(message, { endpoint, code = null, status = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.endpoint = endpoint;
+    this.code = code; // BingX response code
+    this.status = status; // HTTP status
+  }
+
+  /**
+   * Whether the same request may succeed if sent again
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * No (usable) response: timeout, connection error, HTTP 5xx or server busy
+ */
+class NetworkError extends ApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * Credentials rejected: bad signature, API key or IP not whitelisted
+ */
+class AuthError extends ApiError {}
+
+/**
+ * Too many requests; retryAfter is the wait in ms suggested by the exchange
+ */
+class RateLimitError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * Request understood but refused (insufficient margin, unknown order, ...)
+ */
+class ExchangeError extends ApiError {}
+
+/**
+ * Typed error for a BingX response body with a non-zero code
+ */
+function fromResponse(body, endpoint, status = null) {
+  const details = { endpoint, code: body.code, status };
+  const message = body.msg || `Código de error ${body.code}`;
+
+  if (AUTH_CODES.includes(body.code) || body.code === TIMESTAMP_CODE) {
+    return new AuthError(message, details);
+  }
+  if (RATE_LIMIT_CODES.includes(body.code)) {
+    return new RateLimitError(message, details);
+  }
+  if (SERVER_BUSY_CODES.includes(body.code)) {
+    return new NetworkError(message, details);
+  }
+  return new ExchangeError(message, details);
+}
+
+/**
+ * Typed error for a failed axios request
+ */
+function fromAxiosError(error, endpoint) {
+  const response = error.response;
+  if (!response) {
+    return new NetworkError(error.message, { endpoint });
+  }
+
+  const { status, data, headers } = response;
+  const message = data?.msg || error.message;
+
+  if (status === 429) {
+    const retryAfter = parseFloat(headers?.["retry-after"]);
+    return new RateLimitError(message, {
+      endpoint,
+      status,
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+    });
+  }
+  if (status === 401 || status === 403) {
+    return new AuthError(message, { endpoint, status, code: data?.code });
+  }
+  if (status >= 500) {
+    return new NetworkError(message, { endpoint, status });
+  }
+  if (data?.code) return fromResponse(data, endpoint, status);
+  return new ExchangeError(message, { endpoint, status });
+}
+
+module.exports = {
+  TIMESTAMP_CODE,
+  ApiError,
+  NetworkError,
+  AuthError,
+  RateLimitError,
+  ExchangeError,
+  fromResponse,
+  fromAxiosError,
+};
@@ -0,0 +1,579 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { createStrategy } = require("./strategies");
+const RiskManager = require("./risk-manager");
+const TrailingStopManager = require("./trailing-stop");
+const CandleCache = require("./candle-cache");
+const config = require("./config");
+
+// Silences RiskManager output while replaying thousands of bars
+const silentLogger = { log() {}, error() {} };
+
+/**
+ * Backtesting Engine
+ * Replays historical candles bar-by-bar through a strategy, applying the
+ * same entry, exit and risk rules as TradingBot.tick()
+ */
+class Backtester {
+  constructor(options = {}) {
+    this.config = options.config || config;
+    this.strategy =
+      options.strategy ||
+      createStrategy(this.config.strategy.name, this.config.strategy.params);
+    this.riskManager = new RiskManager(
+      this.config,
+      options.logger || silentLogger
+    );
+    this.trailingStop = new TrailingStopManager(this.config);
+
+    const settings = { ...this.config.backtest, ...options };
+    this.interval = settings.interval || this.config.interval; // Of the candles
+    this.initialBalance = settings.initialBalance;
+    this.feeRate = settings.feeRate || 0;
+    this.slippage = (settings.slippagePercent || 0) / 100;
+  }
+
+  /**
+   * Run the backtest over an array of candles (oldest first)
+   * With startTime, earlier candles only warm up the indicators
+   */
+  run(candles, { startTime } = {}) {
+    const windowSize = this.config.candleLimit;
+    const minCandles = this.config.indicators.emaSlow + 10;
+    const step = CandleCache.intervalToMs(this.interval);
+
+    // Higher timeframes of the strategy; a bar only sees the ones closed by
+    // its own close
+    const higher = this.strategy.getTimeframes().map((timeframe) => ({
+      timeframe,
+      candles: CandleCache.resample(candles, timeframe),
+      step: CandleCache.intervalToMs(timeframe),
+      closed: 0,
+    }));
+
+    this.balance = this.initialBalance;
+    this.position = null;
+    this.trades = [];
+    this.equityCurve = [];
+
+    for (let i = 0; i < candles.length; i++) {
+      const candle = candles[i];
+      if (startTime !== undefined && candle.time < startTime) continue;
+
+      // Exchange-side SL/TP fire regardless of what the bot does this bar
+      if (this.position && i > this.position.entryIndex) {
+        this.checkStopAndTarget(candle);
+      }
+
+      const timeframeCandles = {};
+      for (const tf of higher) {
+        while (
+          tf.closed < tf.candles.length &&
+          tf.candles[tf.closed].time + tf.step <= candle.time + step
+        ) {
+          tf.closed++;
+        }
+        timeframeCandles[tf.timeframe] = tf.candles.slice(
+          Math.max(0, tf.closed - windowSize),
+          tf.closed
+        );
+      }
+
+      const window = candles.slice(Math.max(0, i - windowSize + 1), i + 1);
+      if (window.length >= minCandles) {
+        this.tick(window, candle, i, timeframeCandles);
+      }
+
+      const equity = this.balance + this.unrealizedPnl(candle.close);
+      this.riskManager.updateEquity(equity, new Date(candle.time));
+      this.equityCurve.push({ time: candle.time, equity });
+    }
+
+    if (this.position && candles.length > 0) {
+      const last = candles[candles.length - 1];
+      this.exitPosition(last.close, last.time, "END_OF_DATA", false);
+    }
+
+    return {
+      trades: this.trades,
+      summary: this.summarize(),
+      equityCurve: this.equityCurve,
+    };
+  }
+
+  /**
+   * Mirror of TradingBot.tick() for a single closed bar
+   */
+  tick(window, candle, index, timeframeCandles = {}) {
+    const now = new Date(candle.time);
+    const analysis = this.strategy.analyze(
+      window,
+      this.config,
+      timeframeCandles
+    );
+
+    if (this.position) {
+      const exitSignal = this.strategy.shouldExitOnIndicator(
+        this.position,
+        analysis.indicators
+      );
+      if (exitSignal.exit) {
+        this.exitPosition(candle.close, candle.time, "INDICATOR");
+        return;
+      }
+
+      if (this.config.position.closeOnOppositeSignal) {
+        const oppositeSignal =
+          this.position.side === "LONG"
+            ? analysis.shortSignal.signal
+            : analysis.longSignal.signal;
+
+        if (oppositeSignal) {
+          this.exitPosition(candle.close, candle.time, "OPPOSITE_SIGNAL");
+          return;
+        }
+      }
+
+      const update = this.trailingStop.evaluate(
+        this.position,
+        analysis.indicators,
+        window
+      );
+      if (update) {
+        this.position.stopLoss = update.stopLoss;
+        this.position.stopUpdates++;
+      }
+      return;
+    }
+
+    // Trading hours and the daily limit only gate new entries
+    if (!this.strategy.isWithinTradingHours(this.config, now)) return;
+    if (!this.riskManager.canTradeToday(now)) return;
+    if (this.riskManager.isHalted(now)) return;
+
+    if (analysis.longSignal.signal) {
+      this.enterPosition("LONG", analysis.indicators, candle, index);
+    }
+    if (analysis.shortSignal.signal && !this.position) {
+      this.enterPosition("SHORT", analysis.indicators, candle, index);
+    }
+  }
+
+  /**
+   * Simulate TradingBot.enterPosition() with a market fill at the bar close
+   */
+  enterPosition(type, indicators, candle, index) {
+    const accountBalance = this.balance;
+    if (accountBalance < 10) return;
+
+    const entryPrice = indicators.currentPrice;
+    const stopLoss = this.strategy.calculateStopLoss(
+      type,
+      entryPrice,
+      indicators.atr,
+      indicators.swingLow,
+      indicators.swingHigh,
+      this.config
+    );
+    const takeProfit = this.strategy.calculateTakeProfit(
+      type,
+      entryPrice,
+      stopLoss,
+      this.config
+    );
+
+    const positionSize = this.riskManager.calculatePositionSize(
+      accountBalance,
+      entryPrice,
+      stopLoss
+    );
+    const { leverage, marginType } = this.riskManager.marginSettings(
+      this.config.symbol
+    );
+
+    if (
+      !this.riskManager.validateTrade(
+        accountBalance,
+        entryPrice,
+        stopLoss,
+        positionSize
+      ) ||
+      !this.riskManager.hasSufficientBalance(
+        accountBalance,
+        positionSize,
+        entryPrice,
+        leverage
+      ) ||
+      !this.riskManager.isStopBeforeLiquidation(
+        type,
+        stopLoss,
+        this.riskManager.estimateLiquidationPrice(
+          type,
+          entryPrice,
+          positionSize,
+          leverage,
+          marginType,
+          accountBalance
+        )
+      )
+    ) {
+      return;
+    }
+
+    const fillPrice = this.applySlippage(
+      type === "LONG" ? "BUY" : "SELL",
+      entryPrice
+    );
+    const entryFee = fillPrice * positionSize * this.feeRate;
+    const targets = this.riskManager.splitQuantity(
+      positionSize,
+      this.strategy.calculateTakeProfitLadder(
+        type,
+        entryPrice,
+        stopLoss,
+        this.config
+      )
+    );
+
+    this.balance -= entryFee;
+    this.position = {
+      side: type,
+      size: positionSize,
+      initialSize: positionSize,
+      entryPrice: fillPrice,
+      entryTime: candle.time,
+      entryIndex: index,
+      stopLoss,
+      initialStop: stopLoss,
+      stopUpdates: 0,
+      takeProfit,
+      targets: targets.filter((target) => target.price !== null),
+      exits: [],
+      riskAmount: Math.abs(entryPrice - stopLoss) * positionSize,
+      grossPnl: 0,
+      fees: entryFee,
+    };
+
+    this.riskManager.recordTrade();
+  }
+
+  /**
+   * Trigger the stop loss / take profit targets if the bar crossed them.
+   * When both are inside the same bar the stop is assumed to fill first;
+   * take profit tranches fill nearest first.
+   */
+  checkStopAndTarget(candle) {
+    const { side, stopLoss } = this.position;
+    const isLong = side === "LONG";
+
+    if (isLong ? candle.low <= stopLoss : candle.high >= stopLoss) {
+      this.exitPosition(
+        isLong
+          ? Math.min(candle.open, stopLoss)
+          : Math.max(candle.open, stopLoss),
+        candle.time,
+        "STOP_LOSS"
+      );
+      return;
+    }
+
+    while (this.position && this.position.targets.length > 0) {
+      const [target] = this.position.targets;
+      const hit = isLong
+        ? candle.high >= target.price
+        : candle.low <= target.price;
+      if (!hit) break;
+
+      this.position.targets.shift();
+      this.exitPosition(
+        isLong
+          ? Math.max(candle.open, target.price)
+          : Math.min(candle.open, target.price),
+        candle.time,
+        "TAKE_PROFIT",
+        false,
+        target.quantity
+      );
+    }
+  }
+
+  /**
+   * Close (part of) the open position; the round trip is recorded once the
+   * whole position is closed
+   */
+  exitPosition(price, time, reason, slippage = true, quantity = null) {
+    const position = this.position;
+    const size = Math.min(quantity ?? position.size, position.size);
+    const exitSide = position.side === "LONG" ? "SELL" : "BUY";
+    const exitPrice = slippage ? this.applySlippage(exitSide, price) : price;
+
+    const direction = position.side === "LONG" ? 1 : -1;
+    const grossPnl = (exitPrice - position.entryPrice) * size * direction;
+    const fee = exitPrice * size * this.feeRate;
+
+    this.balance += grossPnl - fee;
+    position.grossPnl += grossPnl;
+    position.fees += fee;
+    position.size -= size;
+    position.exits.push({
+      time: new Date(time).toISOString(),
+      price: exitPrice,
+      quantity: size,
+      reason,
+    });
+
+    // Partial exit: the rest of the position stays open
+    if (position.size > 1e-12) return;
+
+    const pnl = position.grossPnl - position.fees;
+    const averageExit =
+      position.exits.reduce(
+        (sum, exit) => sum + exit.price * exit.quantity,
+        0
+      ) / position.initialSize;
+
+    this.trades.push({
+      type: position.side,
+      entryTime: new Date(position.entryTime).toISOString(),
+      entryPrice: position.entryPrice,
+      stopLoss: position.initialStop,
+      finalStop: position.stopLoss,
+      stopUpdates: position.stopUpdates,
+      takeProfit: position.takeProfit,
+      positionSize: position.initialSize,
+      exitTime: new Date(time).toISOString(),
+      exitPrice: averageExit,
+      exitReason: reason,
+      exits: position.exits,
+      grossPnl: position.grossPnl,
+      fees: position.fees,
+      pnl,
+      rMultiple: position.riskAmount > 0 ? pnl / position.riskAmount : 0,
+      balance: this.balance,
+    });
+
+    this.position = null;
+    this.riskManager.recordRealizedPnl(pnl, new Date(time));
+  }
+
+  /**
+   * Move a market fill against us by the configured slippage
+   */
+  applySlippage(side, price) {
+    return side === "BUY"
+      ? price * (1 + this.slippage)
+      : price * (1 - this.slippage);
+  }
+
+  /**
+   * Mark-to-market PnL of the open position
+   */
+  unrealizedPnl(price) {
+    if (!this.position) return 0;
+
+    const direction = this.position.side === "LONG" ? 1 : -1;
+    return (price - this.position.entryPrice) * this.position.size * direction;
+  }
+
+  /**
+   * Summary statistics for the completed run
+   */
+  summarize() {
+    const wins = this.trades.filter((t) => t.pnl > 0);
+    const losses = this.trades.filter((t) => t.pnl <= 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+    const netPnl = this.balance - this.initialBalance;
+
+    let peak = this.initialBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+    for (const point of this.equityCurve) {
+      peak = Math.max(peak, point.equity);
+      const drawdown = peak - point.equity;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownPct = (drawdown / peak) * 100;
+      }
+    }
+
+    return {
+      strategy: this.strategy.name,
+      initialBalance: this.initialBalance,
+      finalBalance: this.balance,
+      netPnl,
+      returnPct: (netPnl / this.initialBalance) * 100,
+      totalTrades: this.trades.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: this.trades.length
+        ? (wins.length / this.trades.length) * 100
+        : 0,
+      grossProfit,
+      grossLoss,
+      profitFactor:
+        grossLoss > 0
+          ? grossProfit / grossLoss
+          : grossProfit > 0
+          ? Infinity
+          : 0,
+      avgWin: wins.length ? grossProfit / wins.length : 0,
+      avgLoss: losses.length ? grossLoss / losses.length : 0,
+      expectancy: this.trades.length ? netPnl / this.trades.length : 0,
+      maxDrawdown,
+      maxDrawdownPct,
+      sharpe: this.sharpeRatio(),
+    };
+  }
+
+  /**
+   * Annualized Sharpe ratio of daily equity returns (crypto trades 365 days)
+   */
+  sharpeRatio() {
+    const dailyEquity = new Map();
+    for (const point of this.equityCurve) {
+      dailyEquity.set(
+        new Date(point.time).toISOString().slice(0, 10),
+        point.equity
+      );
+    }
+
+    let previous = this.initialBalance;
+    const returns = [];
+    for (const equity of dailyEquity.values()) {
+      returns.push((equity - previous) / previous);
+      previous = equity;
+    }
+    if (returns.length < 2) return 0;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance =
+      returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) /
+      (returns.length - 1);
+    const stdDev = Math.sqrt(variance);
+
+    return stdDev > 0 ? (mean / stdDev) * Math.sqrt(365) : 0;
+  }
+}
+
+/**
+ * Load candles from a JSON array or JSON Lines file
+ */
+function loadCandles(file) {
+  const content = fs.readFileSync(file, "utf8").trim();
+  const raw = content.startsWith("[")
+    ? JSON.parse(content)
+    : content
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+
+  return raw
+    .map((c) => ({
+      time: Number(c.time),
+      open: parseFloat(c.open),
+      high: parseFloat(c.high),
+      low: parseFloat(c.low),
+      close: parseFloat(c.close),
+      volume: parseFloat(c.volume),
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Print summary statistics to the console
+ */
+function printSummary(summary) {
+  console.log("📊 Resultados del Backtest:");
+  console.log(`   Estrategia: ${summary.strategy}`);
+  console.log(`   Saldo Inicial: $${summary.initialBalance.toFixed(2)}`);
+  console.log(`   Saldo Final: $${summary.finalBalance.toFixed(2)}`);
+  console.log(
+    `   P&L Neto: $${summary.netPnl.toFixed(2)} (${summary.returnPct.toFixed(
+      2
+    )}%)`
+  );
+  console.log(
+    `   Operaciones: ${summary.totalTrades} (${summary.wins} ganadoras / ${summary.losses} perdedoras)`
+  );
+  console.log(`   Tasa de Acierto: ${summary.winRate.toFixed(2)}%`);
+  console.log(`   Factor de Beneficio: ${summary.profitFactor.toFixed(2)}`);
+  console.log(`   Ratio de Sharpe: ${summary.sharpe.toFixed(2)}`);
+  console.log(`   Ganancia Media: $${summary.avgWin.toFixed(2)}`);
+  console.log(`   Pérdida Media: $${summary.avgLoss.toFixed(2)}`);
+  console.log(
+    `   Drawdown Máximo: $${summary.maxDrawdown.toFixed(
+      2
+    )} (${summary.maxDrawdownPct.toFixed(2)}%)`
+  );
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      file: { type: "string", short: "f" },
+      symbol: { type: "string", short: "s", default: config.symbol },
+      interval: { type: "string", short: "i", default: config.interval },
+      strategy: { type: "string" },
+      params: { type: "string" },
+      balance: { type: "string" },
+      output: { type: "string", short: "o" },
+    },
+  });
+
+  // Without --file, replay the candle cache filled by download-klines.js
+  const source = values.file
+    ? values.file
+    : new CandleCache().filePath(values.symbol, values.interval);
+  const candles = values.file
+    ? loadCandles(path.resolve(values.file))
+    : new CandleCache().read(values.symbol, values.interval);
+
+  if (candles.length === 0) {
+    console.error(`❌ Sin velas en ${source}`);
+    console.error(
+      "Uso: node backtest.js [--file <velas.json|velas.jsonl> | --symbol BTC-USDT --interval 15m] [--strategy trend-breakout] [--params '{\"minConditions\":4}'] [--balance 1000] [--output resultados.json]"
+    );
+    process.exit(1);
+  }
+
+  let strategy;
+  try {
+    strategy = createStrategy(
+      values.strategy || config.strategy.name,
+      values.params
+        ? JSON.parse(values.params)
+        : values.strategy
+        ? {}
+        : config.strategy.params
+    );
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const backtester = new Backtester({
+    strategy,
+    interval: values.interval,
+    ...(values.balance ? { initialBalance: parseFloat(values.balance) } : {}),
+  });
+
+  console.log(`📈 ${candles.length} velas cargadas desde ${source}`);
+  const result = backtester.run(candles);
+  printSummary(result.summary);
+
+  if (values.output) {
+    fs.writeFileSync(
+      values.output,
+      JSON.stringify(
+        { summary: result.summary, trades: result.trades },
+        null,
+        2
+      )
+    );
+    console.log(`💾 Resultados guardados en ${values.output}`);
+  }
+}
+
+module.exports = { Backtester, loadCandles, printSummary };
@@ -1,17 +1,36 @@
 const axios = require("axios");
 const crypto = require("crypto");
 const config = require("./config");
+const RateLimiter = require("./rate-limiter");
+const {
+  TIMESTAMP_CODE,
+  RateLimitError,
+  fromResponse,
+  fromAxiosError,
+} = require("./api-errors");
 require("dotenv").config();
 
 /**
  * BingX API Client
- * Handles all API interactions with BingX perpetual futures
+ * Handles all API interactions with BingX perpetual futures.
+ * Read methods throw typed errors (see api-errors.js) rather than returning
+ * empty results; order methods return { success: false, error } instead.
  */
 class BingXAPI {
   constructor() {
     this.apiKey = process.env.BINGX_API_KEY;
     this.apiSecret = process.env.BINGX_API_SECRET;
     this.testMode = config.bot.testMode;
+    this.contracts = null;
+    this.contractsLoadedAt = 0;
+    this.timeOffset = 0; // Server time minus local time (ms)
+    this.timeSyncedAt = 0;
+    this.limiters = Object.fromEntries(
+      Object.entries(config.api.rateLimits).map(([group, limit]) => [
+        group,
+        new RateLimiter(limit),
+      ])
+    );
 
     if (config.bot.testMode) {
       this.baseURL = "https://open-api-vst.bingx.com";
@@ -20,6 +39,51 @@ class BingXAPI {
     }
   }
 
+  /**
+   * Current time as seen by the exchange
+   */
+  now() {
+    return new Date(Date.now() + this.timeOffset);
+  }
+
+  /**
+   * Measure the offset between the local clock and the server clock.
+   * On failure the previous offset is kept.
+   *
+   * @returns {number} Offset in ms (positive = local clock behind)
+   */
+  async syncTime() {
+    // Counts as synced even on failure, so it is not retried on every request
+    this.timeSyncedAt = Date.now();
+
+    try {
+      const sentAt = Date.now();
+      const response = await this.request(
+        "GET",
+        "/openApi/swap/v2/server/time",
+        {},
+        { unsigned: true }
+      );
+      const receivedAt = Date.now();
+
+      // Assume the server read its clock halfway through the round trip
+      const serverTime = response.data.serverTime;
+      this.timeOffset = Math.round(serverTime - (sentAt + receivedAt) / 2);
+
+      if (Math.abs(this.timeOffset) > config.api.maxClockDrift) {
+        console.warn(
+          `⚠️⚠️⚠️ El reloj local está desfasado ${this.timeOffset}ms respecto a BingX - sincroniza el reloj del sistema (NTP). Se compensa el desfase en las peticiones firmadas.`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Error al sincronizar la hora del servidor: ${error.message}`
+      );
+    }
+
+    return this.timeOffset;
+  }
+
   /**
    * Generate signature for authenticated requests
    */
@@ -37,140 +101,252 @@ class BingXAPI {
 
   /**
    * Make authenticated API request
+   * GET requests are retried with exponential backoff on network and rate
+   * limit errors; other methods are sent once, since retrying an order that
+   * may have reached the exchange could duplicate it.
+   *
+   * @param {Object} options - { weight, retry, unsigned }
+   * @returns {Object} Response body (code 0)
+   * @throws {ApiError} NetworkError, AuthError, RateLimitError or ExchangeError
    */
-  async request(method, endpoint, params = {}) {
-    try {
-      const timestamp = Date.now();
-      const requestParams = {
-        ...params,
-        timestamp,
-      };
+  async request(method, endpoint, params = {}, options = {}) {
+    const retryable = options.retry ?? method === "GET";
+    const retries = retryable ? config.api.maxRetries : 0;
+    let resynced = false;
+
+    if (
+      !options.unsigned &&
+      Date.now() - this.timeSyncedAt > config.api.timeSyncInterval
+    ) {
+      await this.syncTime();
+    }
 
-      requestParams.signature = this.generateSignature(requestParams);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(method, endpoint, params, options);
+      } catch (error) {
+        // Rejected timestamp: the clock drifted since the last sync
+        if (error.code === TIMESTAMP_CODE && !resynced) {
+          resynced = true;
+          await this.syncTime();
+          attempt--;
+          continue;
+        }
+
+        if (!error.retryable || attempt >= retries) {
+          console.error(`Error de API (${error.name}): ${error.message}`);
+          throw error;
+        }
+
+        const backoff = config.api.retryDelay * 2 ** attempt;
+        const delay =
+          error instanceof RateLimitError
+            ? Math.max(error.retryAfter || 0, backoff)
+            : backoff;
+        if (error instanceof RateLimitError) {
+          this.limiters[this.rateLimitGroups(method, endpoint)[0]].pause(delay);
+        }
+
+        console.error(
+          `⚠️ ${error.message} - reintento ${
+            attempt + 1
+          }/${retries} en ${delay}ms`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
 
-      const config = {
-        method,
-        url: `${this.baseURL}${endpoint}`,
-        headers: {
-          "X-BX-APIKEY": this.apiKey,
-        },
-      };
+  /**
+   * Send a single request, signed with the server-adjusted timestamp
+   */
+  async send(method, endpoint, params, { weight = 1, unsigned = false } = {}) {
+    for (const group of this.rateLimitGroups(method, endpoint)) {
+      await this.limiters[group].acquire(weight);
+    }
 
-      if (method === "GET") {
-        config.params = requestParams;
-      } else {
-        config.data = requestParams;
+    const requestParams = { ...params };
+
+    if (!unsigned) {
+      requestParams.timestamp = this.now().getTime();
+      if (config.api.recvWindow) {
+        requestParams.recvWindow = config.api.recvWindow;
       }
+      requestParams.signature = this.generateSignature(requestParams);
+    }
+
+    const requestConfig = {
+      method,
+      url: `${this.baseURL}${endpoint}`,
+      timeout: config.api.timeout,
+      headers: {
+        "X-BX-APIKEY": this.apiKey,
+      },
+    };
+
+    if (method === "GET" || method === "DELETE") {
+      requestConfig.params = requestParams;
+    } else {
+      requestConfig.data = requestParams;
+    }
 
-      const response = await axios(config);
-      return response.data;
+    let response;
+    try {
+      response = await axios(requestConfig);
     } catch (error) {
-      console.error(
-        `Error de API: ${error.response?.data?.msg || error.message}`
-      );
-      throw error;
+      throw fromAxiosError(error, endpoint);
+    }
+
+    if (response.data?.code !== 0) {
+      throw fromResponse(response.data || {}, endpoint, response.status);
     }
+    return response.data;
   }
 
   /**
-   * Get latest kline/candlestick data
+   * Rate limit groups a request counts towards
    */
-  async getKlines(symbol, interval, limit = 100) {
-    try {
-      const params = {
-        symbol,
-        interval,
-        limit,
-      };
+  rateLimitGroups(method, endpoint) {
+    if (endpoint.includes("/quote/") || endpoint.includes("/server/")) {
+      return ["market"];
+    }
+    if (endpoint.includes("/trade/") && method !== "GET") {
+      return ["trade", "account"];
+    }
+    return ["account"];
+  }
 
-      const response = await this.request(
-        "GET",
-        "/openApi/swap/v3/quote/klines",
-        params
-      );
+  /**
+   * Get latest kline/candlestick data
+   * Pass startTime/endTime (ms) to fetch a specific page of history
+   */
+  async getKlines(symbol, interval, limit = 100, { startTime, endTime } = {}) {
+    const params = {
+      symbol,
+      interval,
+      limit,
+    };
+
+    if (startTime !== undefined) params.startTime = startTime;
+    if (endTime !== undefined) params.endTime = endTime;
+
+    const response = await this.request(
+      "GET",
+      "/openApi/swap/v3/quote/klines",
+      params
+    );
+
+    const candles = (response.data || []).map((candle) => ({
+      time: candle.time,
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume),
+    }));
+
+    // BingX returns candles in descending order (newest first)
+    // Reverse to get oldest first (standard for technical indicators)
+    return candles.reverse();
+  }
 
-      if (response.code === 0 && response.data) {
-        const candles = response.data.map((candle) => ({
-          time: candle.time,
-          open: parseFloat(candle.open),
-          high: parseFloat(candle.high),
-          low: parseFloat(candle.low),
-          close: parseFloat(candle.close),
-          volume: parseFloat(candle.volume),
-        }));
-
-        // BingX returns candles in descending order (newest first)
-        // Reverse to get oldest first (standard for technical indicators)
-        return candles.reverse();
-      }
-      return [];
-    } catch (error) {
-      console.error("Error al obtener velas:", error.message);
-      return [];
+  /**
+   * Get the trading rules of a contract
+   * Specs for every contract are loaded at once and cached for
+   * data.contractsTtl; a failed refresh keeps the previous specs
+   *
+   * @returns {Object|null} { symbol, quantityStep, tickSize, minQuantity, minNotional }
+   */
+  async getContractSpec(symbol) {
+    if (
+      !this.contracts ||
+      Date.now() - this.contractsLoadedAt > config.data.contractsTtl
+    ) {
+      await this.loadContracts();
     }
+
+    return this.contracts?.[symbol] || null;
   }
 
   /**
-   * Get account balance
+   * Load the contract specs from the exchange
    */
-  async getBalance() {
+  async loadContracts() {
     try {
       const response = await this.request(
         "GET",
-        "/openApi/swap/v3/user/balance"
+        "/openApi/swap/v2/quote/contracts"
       );
 
       if (response.code === 0 && response.data) {
-        const usdtBalance = response.data.find((b) =>
-          b.asset === this.testMode ? "VST" : "USDT"
-        );
-        return {
-          asset: "USDT",
-          balance: parseFloat(usdtBalance?.balance || 0),
-          availableMargin: parseFloat(usdtBalance?.availableMargin || 0),
-        };
+        this.contracts = {};
+        for (const contract of response.data) {
+          this.contracts[contract.symbol] = {
+            symbol: contract.symbol,
+            quantityStep: 10 ** -contract.quantityPrecision,
+            tickSize: 10 ** -contract.pricePrecision,
+            minQuantity: parseFloat(contract.tradeMinQuantity || 0),
+            minNotional: parseFloat(contract.tradeMinUSDT || 0),
+          };
+        }
+        this.contractsLoadedAt = Date.now();
       }
-      return { asset: "USDT", balance: 0, availableMargin: 0 };
     } catch (error) {
-      console.error("Error al obtener saldo:", error.message);
-      return { asset: "USDT", balance: 0, availableMargin: 0 };
+      console.error("Error al obtener contratos:", error.message);
     }
   }
 
+  /**
+   * Get account balance
+   */
+  async getBalance() {
+    const response = await this.request("GET", "/openApi/swap/v3/user/balance");
+
+    const usdtBalance = (response.data || []).find((b) =>
+      b.asset === this.testMode ? "VST" : "USDT"
+    );
+    return {
+      asset: "USDT",
+      balance: parseFloat(usdtBalance?.balance || 0),
+      availableMargin: parseFloat(usdtBalance?.availableMargin || 0),
+    };
+  }
+
   /**
    * Get current positions
    */
   async getPositions(symbol) {
-    try {
-      const params = { symbol };
-      const response = await this.request(
-        "GET",
-        "/openApi/swap/v2/user/positions",
-        params
-      );
-
-      if (response.code === 0 && response.data) {
-        return response.data.map((pos) => ({
-          positionId: pos.positionId,
-          symbol: pos.symbol,
-          side: pos.positionSide,
-          size: parseFloat(pos.positionAmt),
-          entryPrice: parseFloat(pos.avgPrice),
-          unrealizedProfit: parseFloat(pos.unrealizedProfit),
-          leverage: parseFloat(pos.leverage),
-        }));
-      }
-      return [];
-    } catch (error) {
-      console.error("Error al obtener posiciones:", error.message);
-      return [];
-    }
+    // Without a symbol BingX returns positions for every contract
+    const params = symbol ? { symbol } : {};
+    const response = await this.request(
+      "GET",
+      "/openApi/swap/v2/user/positions",
+      params
+    );
+
+    return (response.data || []).map((pos) => ({
+      positionId: pos.positionId,
+      symbol: pos.symbol,
+      side: pos.positionSide,
+      size: parseFloat(pos.positionAmt),
+      entryPrice: parseFloat(pos.avgPrice),
+      unrealizedProfit: parseFloat(pos.unrealizedProfit),
+      leverage: parseFloat(pos.leverage),
+    }));
   }
 
   /**
    * Place a market order (or test order if in test mode)
+   * Pass { type: "LIMIT", price, postOnly } for a limit / post-only order
    */
-  async placeOrder(symbol, side, quantity, stopLoss = null, takeProfit = null) {
+  async placeOrder(
+    symbol,
+    side,
+    quantity,
+    stopLoss = null,
+    takeProfit = null,
+    options = {}
+  ) {
     try {
       const endpoint = "/openApi/swap/v2/trade/order";
 
@@ -178,10 +354,15 @@ class BingXAPI {
         symbol,
         side: side.toUpperCase(), // BUY or SELL
         positionSide: side.toUpperCase() === "BUY" ? "LONG" : "SHORT",
-        type: "MARKET",
+        type: options.type || "MARKET",
         quantity,
       };
 
+      if (params.type === "LIMIT") {
+        params.price = parseFloat(options.price);
+        params.timeInForce = options.postOnly ? "PostOnly" : "GTC";
+      }
+
       if (takeProfit) {
         params.takeProfit = JSON.stringify({
           type: "TAKE_PROFIT_MARKET",
@@ -219,6 +400,129 @@ class BingXAPI {
     }
   }
 
+  /**
+   * Get the status of an order
+   *
+   * @returns {Object|null} { orderId, status, price, stopPrice, quantity, executedQty, avgPrice, ... }
+   */
+  async getOrder(symbol, orderId) {
+    const response = await this.request("GET", "/openApi/swap/v2/trade/order", {
+      symbol,
+      orderId,
+    });
+
+    const order = response.data?.order;
+    if (!order) return null;
+
+    return {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      positionSide: order.positionSide,
+      type: order.type,
+      status: order.status, // NEW, PARTIALLY_FILLED, FILLED, CANCELLED, ...
+      price: parseFloat(order.price),
+      stopPrice: parseFloat(order.stopPrice) || null,
+      quantity: parseFloat(order.origQty),
+      executedQty: parseFloat(order.executedQty || 0),
+      avgPrice: parseFloat(order.avgPrice || 0),
+      time: order.updateTime || order.time,
+    };
+  }
+
+  /**
+   * Cancel an open order
+   */
+  async cancelOrder(symbol, orderId) {
+    try {
+      const response = await this.request(
+        "DELETE",
+        "/openApi/swap/v2/trade/order",
+        { symbol, orderId }
+      );
+
+      if (response.code === 0) {
+        return { success: true, orderId };
+      }
+      return { success: false, error: response.msg };
+    } catch (error) {
+      console.error("Error al cancelar orden:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Cancel every open order of a symbol (limit, stop loss and take profit)
+   */
+  async cancelAllOrders(symbol) {
+    try {
+      const response = await this.request(
+        "DELETE",
+        "/openApi/swap/v2/trade/allOpenOrders",
+        { symbol }
+      );
+
+      if (response.code === 0) {
+        return {
+          success: true,
+          orderIds: (response.data?.success || []).map((o) => o.orderId),
+        };
+      }
+      return { success: false, error: response.msg };
+    } catch (error) {
+      console.error("Error al cancelar órdenes:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Modify the quantity and/or trigger price of an open stop order
+   * (STOP_MARKET / TAKE_PROFIT_MARKET). The replacement is placed before the
+   * original is cancelled, so the position is never left unprotected.
+   *
+   * @param {Object} changes - { quantity, stopPrice }
+   */
+  async amendOrder(symbol, orderId, changes = {}) {
+    try {
+      const order = (await this.getOpenOrders(symbol)).find(
+        (o) => String(o.orderId) === String(orderId)
+      );
+      if (!order) {
+        return { success: false, error: `Orden ${orderId} no encontrada` };
+      }
+
+      const response = await this.request(
+        "POST",
+        "/openApi/swap/v2/trade/order",
+        {
+          symbol,
+          side: order.side,
+          positionSide: order.positionSide,
+          type: order.type,
+          quantity: changes.quantity ?? order.quantity,
+          stopPrice: parseFloat(changes.stopPrice ?? order.stopPrice),
+          workingType: "MARK_PRICE",
+        }
+      );
+
+      if (response.code !== 0) {
+        return { success: false, error: response.msg };
+      }
+
+      const cancelled = await this.cancelOrder(symbol, orderId);
+      return {
+        success: true,
+        orderId: response.data?.order?.orderId,
+        replacedOrderId: orderId,
+        // The original may have triggered in the meantime
+        ...(!cancelled.success && { warning: cancelled.error }),
+      };
+    } catch (error) {
+      console.error("Error al modificar orden:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Close position by position ID
    */
@@ -247,15 +551,205 @@ class BingXAPI {
     }
   }
 
+  /**
+   * Get open (pending) orders, including stop loss / take profit orders
+   *
+   * @returns {Array} [{ orderId, symbol, side, positionSide, type, price, stopPrice, quantity, executedQty }]
+   */
+  async getOpenOrders(symbol) {
+    const params = symbol ? { symbol } : {};
+    const response = await this.request(
+      "GET",
+      "/openApi/swap/v2/trade/openOrders",
+      params
+    );
+
+    return (response.data?.orders || []).map((order) => ({
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      positionSide: order.positionSide,
+      type: order.type,
+      price: parseFloat(order.price) || null,
+      stopPrice: parseFloat(order.stopPrice) || null,
+      quantity: parseFloat(order.origQty),
+      executedQty: parseFloat(order.executedQty || 0),
+    }));
+  }
+
+  /**
+   * Get filled orders (entries, exits and triggered SL/TP) in a time range
+   * BingX only returns the last 7 days and at most 500 orders per request,
+   * so the range is paged by time until a short page comes back
+   */
+  async getFilledOrders(symbol, { startTime, endTime } = {}) {
+    const limit = 500;
+    const byId = new Map();
+    let from = startTime;
+
+    while (true) {
+      const params = { symbol, limit };
+      if (from !== undefined) params.startTime = from;
+      if (endTime !== undefined) params.endTime = endTime;
+
+      const response = await this.request(
+        "GET",
+        "/openApi/swap/v2/trade/allOrders",
+        params
+      );
+      const page = response.data?.orders || [];
+      for (const order of page) byId.set(String(order.orderId), order);
+      if (page.length < limit) break;
+
+      // Next page from the newest order seen (inclusive: orders sharing
+      // that millisecond are de-duplicated by id)
+      const newest = Math.max(...page.map((order) => order.time));
+      if (!(newest > (from ?? -Infinity))) break;
+      from = newest;
+    }
+
+    return [...byId.values()]
+      .filter((order) => parseFloat(order.executedQty) > 0)
+      .map((order) => ({
+        orderId: order.orderId,
+        positionId: order.positionID ?? order.positionId ?? null,
+        symbol: order.symbol,
+        side: order.side,
+        positionSide: order.positionSide,
+        type: order.type,
+        price: parseFloat(order.avgPrice),
+        stopPrice: parseFloat(order.stopPrice) || null,
+        quantity: parseFloat(order.executedQty),
+        // BingX reports commission negative when paid; a maker rebate is a
+        // negative fee
+        fee: -parseFloat(order.commission || 0),
+        realizedProfit: parseFloat(order.profit || 0),
+        time: order.updateTime || order.time,
+      }));
+  }
+
+  /**
+   * Get funding fee payments (negative = paid) in a time range
+   */
+  async getFundingFees(symbol, { startTime, endTime } = {}) {
+    const params = { symbol, incomeType: "FUNDING_FEE", limit: 1000 };
+    if (startTime !== undefined) params.startTime = startTime;
+    if (endTime !== undefined) params.endTime = endTime;
+
+    const response = await this.request(
+      "GET",
+      "/openApi/swap/v2/user/income",
+      params
+    );
+
+    return (Array.isArray(response.data) ? response.data : []).map(
+      (income) => ({
+        symbol: income.symbol,
+        amount: parseFloat(income.income),
+        time: income.time,
+      })
+    );
+  }
+
+  /**
+   * Place a take profit order for part of an open position
+   * In hedge mode an order on the opposite side of positionSide can only
+   * reduce that position, so each tranche behaves as reduce-only
+   */
+  async placeTakeProfitOrder(symbol, positionSide, quantity, stopPrice) {
+    try {
+      const response = await this.request(
+        "POST",
+        "/openApi/swap/v2/trade/order",
+        {
+          symbol,
+          side: positionSide === "LONG" ? "SELL" : "BUY",
+          positionSide,
+          type: "TAKE_PROFIT_MARKET",
+          quantity,
+          stopPrice: parseFloat(stopPrice),
+          workingType: "MARK_PRICE",
+        }
+      );
+
+      if (response.code === 0 && response.data) {
+        return {
+          success: true,
+          orderId: response.data.order?.orderId,
+          symbol,
+          quantity,
+        };
+      }
+
+      return { success: false, error: response.msg };
+    } catch (error) {
+      console.error("Error al colocar take profit:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Replace the stop loss of an open position
+   * Places the new STOP_MARKET order first, then cancels the previous ones,
+   * so the position is never left unprotected
+   */
+  async replaceStopLoss(symbol, positionSide, quantity, stopPrice) {
+    try {
+      const openOrders = await this.request(
+        "GET",
+        "/openApi/swap/v2/trade/openOrders",
+        { symbol }
+      );
+      const previousStops = (openOrders.data?.orders || []).filter(
+        (order) =>
+          order.type === "STOP_MARKET" && order.positionSide === positionSide
+      );
+
+      const response = await this.request(
+        "POST",
+        "/openApi/swap/v2/trade/order",
+        {
+          symbol,
+          side: positionSide === "LONG" ? "SELL" : "BUY",
+          positionSide,
+          type: "STOP_MARKET",
+          quantity,
+          stopPrice: parseFloat(stopPrice),
+          workingType: "MARK_PRICE",
+        }
+      );
+
+      if (response.code !== 0) {
+        return { success: false, error: response.msg };
+      }
+
+      // The new stop is in place; a stop that can't be cancelled has
+      // most likely just triggered
+      for (const order of previousStops) {
+        await this.cancelOrder(symbol, order.orderId);
+      }
+
+      return {
+        success: true,
+        orderId: response.data?.order?.orderId,
+        replacedOrderIds: previousStops.map((order) => order.orderId),
+      };
+    } catch (error) {
+      console.error("Error al actualizar stop loss:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Set leverage for symbol
+   * In hedge mode each side (LONG / SHORT) has its own leverage
    */
-  async setLeverage(symbol, leverage) {
+  async setLeverage(symbol, leverage, side = "BOTH") {
     try {
       const params = {
         symbol,
         leverage: leverage.toString(),
-        side: "BOTH",
+        side,
       };
 
       const response = await this.request(
@@ -269,6 +763,73 @@ class BingXAPI {
       return false;
     }
   }
+
+  /**
+   * Get the leverage set for a symbol
+   *
+   * @returns {Object|null} { long, short, maxLong, maxShort }
+   */
+  async getLeverage(symbol) {
+    try {
+      const response = await this.request(
+        "GET",
+        "/openApi/swap/v2/trade/leverage",
+        { symbol }
+      );
+
+      if (response.code === 0 && response.data) {
+        return {
+          long: parseFloat(response.data.longLeverage),
+          short: parseFloat(response.data.shortLeverage),
+          maxLong: parseFloat(response.data.maxLongLeverage),
+          maxShort: parseFloat(response.data.maxShortLeverage),
+        };
+      }
+      return null;
+    } catch (error) {
+      console.error("Error al obtener apalancamiento:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Set margin type (ISOLATED or CROSSED) for symbol
+   * BingX refuses the change while the symbol has open positions or orders
+   */
+  async setMarginType(symbol, marginType) {
+    try {
+      const response = await this.request(
+        "POST",
+        "/openApi/swap/v2/trade/marginType",
+        { symbol, marginType }
+      );
+      return response.code === 0;
+    } catch (error) {
+      console.error("Error al configurar tipo de margen:", error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the margin type of a symbol ("ISOLATED" or "CROSSED")
+   */
+  async getMarginType(symbol) {
+    try {
+      const response = await this.request(
+        "GET",
+        "/openApi/swap/v2/trade/marginType",
+        { symbol }
+      );
+
+      if (response.code === 0 && response.data) {
+        return response.data.marginType;
+      }
+      return null;
+    } catch (error) {
+      console.error("Error al obtener tipo de margen:", error.message);
+      return null;
+    }
+  }
 }
 
 module.exports = BingXAPI;
@@ -1,9 +1,24 @@
 const BingXAPI = require("./bingx-api");
-const TrendBreakoutStrategy = require("./strategies/trend-breakout");
+const SimulatedExchange = require("./simulated-exchange");
+const { createStrategy, resolveStrategyConfig } = require("./strategies");
 const RiskManager = require("./risk-manager");
+const CandleCache = require("./candle-cache");
+const MarketDataStream = require("./market-stream");
+const TrailingStopManager = require("./trailing-stop");
+const StateStore = require("./state-store");
+const TradeLedger = require("./trade-ledger");
+const ControlServer = require("./control-server");
+const SignalServer = require("./signal-server");
+const Notifier = require("./notifier");
 const config = require("./config");
 const fs = require("fs");
-const notifier = require("node-notifier");
+const { parseArgs } = require("util");
+
+// Order types that only exist to close a position
+const EXIT_ORDER_TYPES = ["STOP_MARKET", "TAKE_PROFIT_MARKET"];
+
+// Notification event by the exit reason of a closed round trip
+const EXIT_EVENTS = { STOP_LOSS: "stopLoss", TAKE_PROFIT: "takeProfit" };
 
 /**
  * Main Trading Bot
@@ -11,12 +26,56 @@ const notifier = require("node-notifier");
  */
 class TradingBot {
   constructor() {
-    this.api = new BingXAPI();
+    this.simulated = config.bot.exchange === "simulated";
+    this.api = this.simulated ? new SimulatedExchange() : new BingXAPI();
+    this.checkInterval = this.simulated
+      ? config.simulator.checkInterval
+      : config.bot.checkInterval;
     this.riskManager = new RiskManager(config);
-    this.strategy = new TrendBreakoutStrategy();
+    this.trailingStop = new TrailingStopManager(config);
+    this.candleCache =
+      config.data.useCache && !this.simulated ? new CandleCache() : null;
+    this.stream =
+      config.stream.enabled && !this.simulated
+        ? new MarketDataStream(this.api)
+        : null;
+    // A replay starts from scratch, so only a real account keeps state
+    this.stateStore =
+      config.bot.stateFile && !this.simulated
+        ? new StateStore(config.bot.stateFile)
+        : null;
+    this.ledger = new TradeLedger(
+      this.api,
+      this.simulated ? { file: null } : {}
+    );
+    this.notifier = new Notifier();
+    this.control = config.control.enabled ? new ControlServer(this) : null;
+    this.signals = config.signals.enabled ? new SignalServer(this) : null;
     this.isRunning = false;
-    this.currentPosition = null;
-    this.lastAnalysis = null;
+    this.wakeUp = null; // Ends the wait for the next check early
+    this.queue = Promise.resolve(); // Checks and control actions, one at a time
+    this.checkRequested = false; // An alert arrived during the current check
+    this.entriesPaused = false; // Set through the control API
+    this.symbols = config.symbols;
+    this.openPositions = [];
+    this.closedSinceLastTick = [];
+    this.ledgerCutoff = null; // Round trips closed before this are history
+    this.daily = null; // Trades and realized PnL of the current day, for the summary
+
+    // Strategy, analysis and position state tracked separately per symbol
+    this.strategies = {};
+    this.symbolState = {};
+    for (const symbol of this.symbols) {
+      const { name, params } = resolveStrategyConfig(symbol, config);
+      this.strategies[symbol] = createStrategy(name, params);
+      this.symbolState[symbol] = {
+        currentPosition: null,
+        lastAnalysis: null,
+        trade: null, // Entry metadata of the position opened by the bot
+        pendingEntry: null, // Limit entry order not yet (fully) filled
+        margin: this.riskManager.marginSettings(symbol), // Leverage in effect
+      };
+    }
   }
 
   /**
@@ -33,17 +92,38 @@ class TradingBot {
     }
   }
 
-  notify(params) {
-    notifier.notify({ sound: true, wait: false, ...params });
+  /**
+   * Send an event to the notification channels routed to it (see
+   * config.notifications). Delivery happens in the background.
+   */
+  notify(event, data = {}) {
+    this.notifier
+      .notify(event, {
+        mode: config.bot.testMode ? " (Test Mode)" : "",
+        ...data,
+      })
+      .catch((error) =>
+        console.error(`Error de notificación: ${error.message}`)
+      );
   }
 
   /**
    * Start the trading bot
    */
   async start() {
+    this.isRunning = true;
     this.log("🚀 Iniciando Bot de Trading BingX...");
-    this.log(`📊 Símbolo: ${config.symbol}`);
+    this.log(
+      `📊 ${
+        this.symbols.length > 1 ? "Símbolos" : "Símbolo"
+      }: ${this.symbols.join(", ")}`
+    );
     this.log(`⏱️ Intervalo: ${config.interval}`);
+    for (const symbol of this.symbols) {
+      const strategy = this.strategies[symbol];
+      const params = JSON.stringify(strategy.params);
+      this.log(`🧠 Estrategia [${symbol}]: ${strategy.name} ${params}`);
+    }
     this.log(
       `${
         config.bot.testMode
@@ -51,20 +131,262 @@ class TradingBot {
           : "⚠️ MODO EN VIVO - Se colocarán órdenes reales"
       }`
     );
+    if (this.simulated) {
+      this.log(
+        `🖥️ EXCHANGE SIMULADO - Reproduciendo velas de ${config.simulator.dataFile}`
+      );
+    }
+
+    if (this.stream) {
+      this.log("📡 Datos de mercado por WebSocket (REST como respaldo)");
+      for (const symbol of this.symbols) {
+        this.stream.subscribe(symbol, config.interval);
+        this.strategies[symbol]
+          .getTimeframes()
+          .forEach((timeframe) => this.stream.subscribe(symbol, timeframe));
+      }
+      this.stream.start();
+    }
 
-    // Set leverage (optional, adjust as needed)
-    // await this.api.setLeverage(config.symbol, 1);
+    await this.applyMarginSettings();
+
+    await this.restoreState();
+
+    // Round trips closed before the last save (or all of them on a first
+    // start) were already accounted for or predate the bot
+    this.ledgerCutoff = this.ledgerCutoff ?? this.api.now().getTime();
+
+    if (this.control) {
+      await this.control.start();
+      this.log(
+        `🎛️ API de control en http://${this.control.host}:${this.control.port}`
+      );
+    }
+
+    if (this.signals) {
+      await this.signals.start();
+      this.log(
+        `📨 Webhook de señales en http://${this.signals.host}:${this.signals.port}${this.signals.path}`
+      );
+    }
+
+    // Catch up on positions closed while the bot was down
+    await this.syncLedger(this.symbols);
 
-    this.isRunning = true;
     this.runLoop();
   }
 
+  /**
+   * Apply leverage and margin type to every symbol, then read them back.
+   * Sizing and margin checks use the leverage the exchange reports.
+   */
+  async applyMarginSettings() {
+    for (const symbol of this.symbols) {
+      const state = this.symbolState[symbol];
+      const wanted = this.riskManager.marginSettings(symbol);
+
+      if (!(await this.api.setMarginType(symbol, wanted.marginType))) {
+        this.log(
+          `⚠️ [${symbol}] No se pudo configurar margen ${wanted.marginType} (¿posiciones u órdenes abiertas?)`
+        );
+      }
+      for (const side of ["LONG", "SHORT"]) {
+        if (!(await this.api.setLeverage(symbol, wanted.leverage, side))) {
+          this.log(
+            `⚠️ [${symbol}] No se pudo configurar apalancamiento ${wanted.leverage}x (${side})`
+          );
+        }
+      }
+
+      const leverage = await this.api.getLeverage(symbol);
+      const marginType = await this.api.getMarginType(symbol);
+      if (!leverage || !marginType) {
+        this.log(
+          `⚠️ [${symbol}] No se pudo verificar apalancamiento/margen - se asume ${wanted.leverage}x ${wanted.marginType}`
+        );
+        state.margin = wanted;
+        continue;
+      }
+
+      // Size with the lowest leverage in effect so both sides are covered
+      state.margin = {
+        leverage: Math.min(leverage.long, leverage.short),
+        marginType,
+      };
+
+      if (
+        leverage.long !== wanted.leverage ||
+        leverage.short !== wanted.leverage ||
+        marginType !== wanted.marginType
+      ) {
+        this.log(
+          `⚠️ [${symbol}] Configuración en el exchange distinta de la pedida: ${leverage.long}x/${leverage.short}x ${marginType} (config: ${wanted.leverage}x ${wanted.marginType})`
+        );
+      } else {
+        this.log(
+          `⚖️ [${symbol}] Apalancamiento ${wanted.leverage}x, margen ${marginType}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Persist daily counters and open trade metadata
+   */
+  saveState() {
+    if (!this.stateStore) return;
+
+    const symbols = {};
+    for (const symbol of this.symbols) {
+      const { trade, pendingEntry } = this.symbolState[symbol];
+      symbols[symbol] = { trade, pendingEntry };
+    }
+
+    try {
+      this.stateStore.save({
+        risk: this.riskManager.exportState(),
+        ledger: this.ledger.exportState(),
+        entriesPaused: this.entriesPaused,
+        daily: this.daily,
+        signals: this.signals?.exportState(),
+        symbols,
+      });
+    } catch (error) {
+      this.log(`❌ Error al guardar el estado: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reload the saved state and reconcile it with the exchange: trades whose
+   * position is gone are dropped, positions the bot did not open are flagged
+   */
+  async restoreState() {
+    if (!this.stateStore) return;
+
+    const saved = this.stateStore.load();
+    if (saved) {
+      this.ledgerCutoff = Date.parse(saved.savedAt) || null;
+      this.riskManager.restoreState(saved.risk);
+      this.ledger.restoreState(saved.ledger);
+      this.entriesPaused = Boolean(saved.entriesPaused);
+      this.daily = saved.daily || null;
+      this.signals?.restoreState(saved.signals);
+      this.log(
+        `💾 Estado restaurado (guardado ${saved.savedAt}) - operaciones hoy: ${this.riskManager.tradesExecutedToday}`
+      );
+      if (this.entriesPaused) this.log("⏸️ Nuevas entradas en pausa");
+    }
+
+    const positions = (
+      await this.retryOnStartup("Posiciones", () => this.api.getPositions())
+    ).filter((pos) => pos.size !== 0);
+
+    for (const symbol of this.symbols) {
+      // A limit entry order is checked against the exchange on the next tick
+      const pendingEntry = saved?.symbols?.[symbol]?.pendingEntry || null;
+      if (pendingEntry) {
+        this.symbolState[symbol].pendingEntry = pendingEntry;
+        this.log(
+          `♻️ [${symbol}] Orden de entrada pendiente recuperada (ID ${pendingEntry.orderId})`
+        );
+        continue;
+      }
+
+      const trade = saved?.symbols?.[symbol]?.trade || null;
+      const position = positions.find((pos) => pos.symbol === symbol);
+      const matches = trade && position && position.side === trade.side;
+
+      if (matches) {
+        this.symbolState[symbol].trade = trade;
+        this.log(
+          `♻️ [${symbol}] Posición ${trade.side} recuperada - SL $${trade.stopLoss} TP $${trade.takeProfit}`
+        );
+
+        const orders = await this.retryOnStartup(`Órdenes de ${symbol}`, () =>
+          this.api.getOpenOrders(symbol)
+        );
+        const hasStop = orders.some(
+          (order) =>
+            order.type === "STOP_MARKET" && order.positionSide === trade.side
+        );
+        if (!hasStop) {
+          this.log(`⚠️ [${symbol}] Sin stop loss activo en el exchange`);
+        }
+        continue;
+      }
+
+      if (trade) {
+        this.log(
+          `⚠️ [${symbol}] La posición ${trade.side} se cerró mientras el bot estaba detenido`
+        );
+        this.logTradeToFile({
+          action: "RECONCILE",
+          issue: "POSITION_VANISHED",
+          symbol,
+          trade,
+          timestamp: new Date().toLocaleString(),
+        });
+      }
+
+      if (position) {
+        this.log(
+          `⚠️ [${symbol}] Posición ${position.side} ${position.size} no abierta por el bot - sin gestión de stop`
+        );
+        this.logTradeToFile({
+          action: "RECONCILE",
+          issue: "UNKNOWN_POSITION",
+          symbol,
+          type: position.side,
+          size: position.size,
+          entryPrice: position.entryPrice,
+          positionId: position.positionId,
+          timestamp: new Date().toLocaleString(),
+        });
+      }
+    }
+
+    this.riskManager.syncOpenRisk([
+      ...positions.map((pos) => pos.symbol),
+      ...this.pendingSymbols(),
+    ]);
+    this.saveState();
+  }
+
   /**
    * Stop the trading bot
    */
   stop() {
     this.log("🛑 Deteniendo bot de trading...");
     this.isRunning = false;
+    this.stream?.stop();
+    this.control?.stop();
+    this.signals?.stop();
+    this.wakeUp?.();
+  }
+
+  /**
+   * Send a startup request again while it fails with a retryable error
+   * (network, 5xx, rate limit), waiting checkInterval between attempts like
+   * the main loop does after a failed check. Other errors are thrown, and
+   * so is stopping the bot while waiting.
+   */
+  async retryOnStartup(label, request) {
+    while (this.isRunning) {
+      try {
+        return await request();
+      } catch (error) {
+        if (!error.retryable) throw error;
+
+        this.log(
+          `⚠️ ${label} no disponibles (${error.name}: ${
+            error.message
+          }) - reintentando en ${Math.round(this.checkInterval / 1000)}s`
+        );
+        await this.sleep(this.checkInterval);
+      }
+    }
+
+    throw new Error(`Bot detenido durante el arranque (${label})`);
   }
 
   /**
@@ -72,18 +394,55 @@ class TradingBot {
    */
   async runLoop() {
     while (this.isRunning) {
+      this.checkRequested = false;
       try {
-        await this.tick();
+        await this.serialize(() => this.tick());
       } catch (error) {
         this.log(`❌ Error en el bucle principal: ${error.message}`);
+        this.notify("error", { message: `Main loop: ${error.message}` });
         console.error(error);
       }
 
-      // Wait before next check
-      await this.sleep(config.bot.checkInterval);
+      // Wait before next check, unless an alert came in during this one
+      if (!this.checkRequested) await this.waitForNextCheck();
     }
   }
 
+  /**
+   * Wait for the next candle close on the stream, or for checkInterval
+   * when the stream is disabled or down. wakeUp() ends the wait early.
+   */
+  waitForNextCheck() {
+    if (!this.stream) return this.sleep(this.checkInterval);
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearInterval(fallbackTimer);
+        this.stream.off("candleClose", onCandleClose);
+        resolve();
+      };
+      this.wakeUp = done;
+      const onCandleClose = (symbol, interval) => {
+        if (!this.symbols.includes(symbol) || interval !== config.interval) {
+          return;
+        }
+
+        // Other symbols close at the same time; give their updates a moment
+        this.stream.off("candleClose", onCandleClose);
+        if (this.symbols.length > 1) {
+          setTimeout(done, config.stream.closeSettleDelay);
+        } else {
+          done();
+        }
+      };
+      const fallbackTimer = setInterval(() => {
+        if (!this.stream.isHealthy()) done();
+      }, this.checkInterval);
+
+      this.stream.on("candleClose", onCandleClose);
+    });
+  }
+
   /**
    * Single iteration of the bot logic
    */
@@ -91,24 +450,374 @@ class TradingBot {
     this.log("\n" + "=".repeat(80));
     this.log("🔄 Verificando condiciones del mercado...");
 
-    // Check if within trading hours
-    if (!this.strategy.isWithinTradingHours(config)) {
-      this.log("⏰ Fuera del horario de trading - omitiendo análisis");
+    // Market data first: on the simulated exchange fetching candles is what
+    // moves the market (and fills stops / targets), so the account data read
+    // below must come after it
+    const candlesBySymbol = {};
+    for (const symbol of this.symbols) {
+      try {
+        candlesBySymbol[symbol] = await this.getCandles(symbol);
+      } catch (error) {
+        this.log(`❌ Error obteniendo velas de ${symbol}: ${error.message}`);
+        this.notify("error", { message: `${symbol}: ${error.message}` });
+      }
+    }
+
+    const now = this.api.now();
+
+    // One request for the whole account so the portfolio limits see every
+    // position. If it fails the check is skipped: a failed request must not
+    // look like "no positions" and trigger a duplicate entry.
+    let positions;
+    let balance;
+    try {
+      positions = await this.api.getPositions();
+      balance = await this.api.getBalance();
+    } catch (error) {
+      this.log(
+        `⚠️ Datos de cuenta no disponibles (${error.name}: ${error.message}) - omitiendo verificación`
+      );
+      this.notify("error", {
+        message: `Account data unavailable (${error.name}): ${error.message}`,
+      });
       return;
     }
 
-    // Check daily trade limit
-    if (!this.riskManager.canTradeToday()) {
-      this.log("📊 Máximo de operaciones por día alcanzado - omitiendo");
+    const previousSymbols = this.openPositions.map((pos) => pos.symbol);
+    this.openPositions = positions.filter((pos) => pos.size !== 0);
+
+    // Positions closed since the last check (by the bot, SL/TP or by hand)
+    const openSymbols = this.openPositions.map((pos) => pos.symbol);
+    const closedSymbols = [
+      ...new Set([...previousSymbols, ...this.closedSinceLastTick]),
+    ].filter((symbol) => !openSymbols.includes(symbol));
+    this.closedSinceLastTick = [];
+    if (closedSymbols.length > 0) {
+      await this.syncLedger(closedSymbols);
+      for (const symbol of closedSymbols) {
+        await this.cancelOrphanedOrders(symbol);
+      }
+    }
+
+    // Account equity for the drawdown guard
+    const unrealized = this.openPositions.reduce(
+      (sum, pos) => sum + (pos.unrealizedProfit || 0),
+      0
+    );
+    const equity = balance.balance + unrealized;
+    this.handleHalt(this.riskManager.updateEquity(equity, now));
+    this.rollDailySummary(now, equity);
+    this.riskManager.syncOpenRisk([...openSymbols, ...this.pendingSymbols()]);
+
+    for (const symbol of this.symbols) {
+      try {
+        await this.tickSymbol(symbol, now, candlesBySymbol[symbol]);
+      } catch (error) {
+        this.log(`❌ Error analizando ${symbol}: ${error.message}`);
+        this.notify("error", { message: `${symbol}: ${error.message}` });
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Cancel stop loss / take profit orders left behind by a position that is
+   * no longer open (e.g. closed by hand or by the other exit order)
+   */
+  async cancelOrphanedOrders(symbol) {
+    const openSides = this.openPositions
+      .filter((pos) => pos.symbol === symbol)
+      .map((pos) => pos.side);
+
+    let orders;
+    try {
+      orders = await this.api.getOpenOrders(symbol);
+    } catch (error) {
+      this.log(
+        `⚠️ [${symbol}] No se pudieron revisar órdenes huérfanas: ${error.message}`
+      );
       return;
     }
 
-    // Fetch latest market data
-    const candles = await this.api.getKlines(
-      config.symbol,
-      config.interval,
-      config.candleLimit
+    const orphaned = orders.filter(
+      (order) =>
+        EXIT_ORDER_TYPES.includes(order.type) &&
+        !openSides.includes(order.positionSide)
+    );
+
+    for (const order of orphaned) {
+      const result = await this.api.cancelOrder(symbol, order.orderId);
+      if (result.success) {
+        this.log(
+          `🧹 [${symbol}] Orden ${order.type} huérfana cancelada (ID ${order.orderId})`
+        );
+      } else {
+        this.log(
+          `⚠️ [${symbol}] No se pudo cancelar la orden ${order.orderId}: ${result.error}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Symbols with a limit entry order still working
+   */
+  pendingSymbols() {
+    return this.symbols.filter(
+      (symbol) => this.symbolState[symbol].pendingEntry
     );
+  }
+
+  /**
+   * Record round trips closed on the given symbols with their realized PnL
+   * Trips closed before ledgerCutoff are only written to the ledger: they
+   * don't count towards the circuit breaker and are not notified
+   */
+  async syncLedger(symbols) {
+    try {
+      const recorded = await this.ledger.sync(symbols);
+      const trips = recorded
+        .filter((trip) => trip.exitTime > this.ledgerCutoff)
+        .sort((a, b) => a.exitTime - b.exitTime);
+      if (recorded.length > trips.length) {
+        this.log(
+          `📒 ${
+            recorded.length - trips.length
+          } operaciones anteriores añadidas al registro`
+        );
+      }
+
+      for (const trip of trips) {
+        this.handleHalt(
+          this.riskManager.recordRealizedPnl(
+            trip.netPnl,
+            new Date(trip.exitTime)
+          )
+        );
+        const slippage = (trip.entrySlippage || 0) + (trip.exitSlippage || 0);
+        this.log(
+          `📒 [${trip.symbol}] ${trip.type} cerrada (${
+            trip.exitReason
+          }): P&L neto $${trip.netPnl.toFixed(
+            2
+          )} | bruto $${trip.grossPnl.toFixed(
+            2
+          )} | comisiones $${trip.fees.toFixed(
+            2
+          )} | funding $${trip.funding.toFixed(
+            2
+          )} | slippage $${slippage.toFixed(2)}`
+        );
+
+        this.notify(EXIT_EVENTS[trip.exitReason] || "exit", {
+          symbol: trip.symbol,
+          side: trip.type,
+          exitPrice: trip.exitPrice.toFixed(2),
+          netPnl: trip.netPnl.toFixed(2),
+          reason: trip.exitReason,
+        });
+        if (this.daily) {
+          this.daily.netPnl += trip.netPnl;
+          if (trip.netPnl >= 0) this.daily.wins++;
+          else this.daily.losses++;
+        }
+      }
+
+      if (trips.length > 0) this.saveState();
+    } catch (error) {
+      this.log(
+        `❌ Error al sincronizar el registro de operaciones: ${error.message}`
+      );
+      // Retry on the next check
+      this.closedSinceLastTick.push(...symbols);
+    }
+  }
+
+  /**
+   * Notify and record a tripped circuit breaker guard
+   * (RiskManager has already logged it)
+   */
+  handleHalt(halt) {
+    if (!halt) return;
+
+    this.notify("riskGuard", {
+      guard: "Circuit Breaker",
+      message: `${halt.reason}\nNew entries paused ${
+        halt.until
+          ? `until ${new Date(halt.until).toLocaleString()}`
+          : "until re-armed"
+      }`,
+    });
+
+    this.logTradeToFile({
+      action: "CIRCUIT_BREAKER",
+      ...halt,
+      timestamp: new Date().toLocaleString(),
+    });
+    this.saveState();
+  }
+
+  /**
+   * Run fn once the check or control action in progress has finished
+   */
+  serialize(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Close a position on request (control API). Waits for the check in
+   * progress and re-reads the position from the exchange first: the one
+   * seen at the last check may be gone or not there yet.
+   */
+  forceClosePosition(symbol) {
+    return this.serialize(async () => {
+      const positions = await this.api.getPositions();
+      this.symbolState[symbol].currentPosition =
+        positions.find((pos) => pos.symbol === symbol && pos.size !== 0) ||
+        null;
+
+      return this.closePosition(symbol);
+    });
+  }
+
+  /**
+   * Re-arm the circuit breaker by hand
+   */
+  rearmCircuitBreaker() {
+    this.riskManager.rearm();
+    this.log("✅ Circuit breaker rearmado manualmente");
+    this.saveState();
+  }
+
+  /**
+   * Send the summary of the previous day once the date changes
+   */
+  rollDailySummary(now, equity) {
+    const day = now.toDateString();
+    if (this.daily?.day === day) return;
+
+    if (this.daily) {
+      const { trades, wins, losses, netPnl } = this.daily;
+      this.log(
+        `📊 Resumen del ${
+          this.daily.day
+        }: ${trades} operaciones, P&L neto $${netPnl.toFixed(2)}`
+      );
+      this.notify("dailySummary", {
+        date: this.daily.day,
+        trades,
+        wins,
+        losses,
+        netPnl: netPnl.toFixed(2),
+        equity: equity.toFixed(2),
+      });
+    }
+
+    this.daily = {
+      day,
+      trades: 0,
+      wins: 0,
+      losses: 0,
+      netPnl: 0,
+      limitNotified: [], // Symbols already notified of the daily trade limit
+    };
+    this.saveState();
+  }
+
+  /**
+   * Hand an alert from the SignalServer to the strategy of its symbol and
+   * check the market right away instead of waiting for the next check
+   */
+  receiveSignal(alert) {
+    const strategy = this.strategies[alert.symbol];
+    if (typeof strategy?.receiveAlert !== "function") {
+      return {
+        error: `${alert.symbol} no usa la estrategia webhook (${strategy?.name})`,
+      };
+    }
+
+    strategy.receiveAlert(alert);
+    this.log(`📨 Alerta ${alert.id}: ${alert.side} ${alert.symbol}`);
+    this.checkRequested = true;
+    this.wakeUp?.();
+    return { ok: true };
+  }
+
+  /**
+   * Stop opening new positions; open ones keep being managed
+   */
+  pauseEntries() {
+    this.entriesPaused = true;
+    this.log("⏸️ Nuevas entradas en pausa");
+    this.saveState();
+  }
+
+  /**
+   * Allow new positions again
+   */
+  resumeEntries() {
+    this.entriesPaused = false;
+    this.log("▶️ Nuevas entradas reanudadas");
+    this.saveState();
+  }
+
+  /**
+   * Snapshot of the bot for the control API
+   */
+  getStatus() {
+    const risk = this.riskManager;
+    const symbols = {};
+
+    for (const symbol of this.symbols) {
+      const state = this.symbolState[symbol];
+      symbols[symbol] = {
+        strategy: this.strategies[symbol].name,
+        position: state.currentPosition,
+        trade: state.trade,
+        pendingEntry: state.pendingEntry && {
+          orderId: state.pendingEntry.orderId,
+          side: state.pendingEntry.plan.side,
+          price: state.pendingEntry.price,
+          size: state.pendingEntry.plan.size,
+          filled: this.pendingFilled(state.pendingEntry),
+        },
+        lastAnalysis: state.lastAnalysis,
+        tradesToday: risk.tradesBySymbol[symbol] || 0,
+        margin: state.margin,
+      };
+    }
+
+    return {
+      running: this.isRunning,
+      entriesPaused: this.entriesPaused,
+      circuitBreaker: risk.halt,
+      testMode: config.bot.testMode,
+      exchange: config.bot.exchange,
+      interval: config.interval,
+      tradesToday: risk.tradesExecutedToday,
+      maxTradesPerDay: {
+        perSymbol: config.risk.maxTradesPerDay,
+        portfolio: config.portfolio.maxTradesPerDay,
+      },
+      openPositions: this.openPositions,
+      symbols,
+    };
+  }
+
+  /**
+   * Analysis and position management for a single symbol
+   * Trading hours and the daily trade limit only gate new entries: an open
+   * position or a working entry order is always managed
+   */
+  async tickSymbol(symbol, now, candles) {
+    const state = this.symbolState[symbol];
+    const strategy = this.strategies[symbol];
+
+    if (this.symbols.length > 1) {
+      this.log(`\n🪙 ${symbol}`);
+    }
 
     if (!candles || candles.length < config.indicators.emaSlow + 10) {
       this.log("⚠️ Datos de velas insuficientes");
@@ -117,63 +826,231 @@ class TradingBot {
 
     this.log(`📈 Obtenidas ${candles.length} velas`);
     this.log(
-      `🪙 Precio Actual [${config.symbol}]: $${candles[
+      `🪙 Precio Actual [${symbol}]: $${candles[
         candles.length - 1
       ].close.toFixed(2)}`
     );
 
+    // Closed candles of the higher timeframes the strategy uses
+    const timeframeCandles = {};
+    for (const timeframe of strategy.getTimeframes()) {
+      timeframeCandles[timeframe] = CandleCache.closedCandles(
+        await this.getCandles(symbol, timeframe),
+        timeframe,
+        now.getTime()
+      );
+    }
+
     // Analyze market
-    const analysis = this.strategy.analyze(candles, config);
-    this.lastAnalysis = analysis;
+    const analysis = strategy.analyze(candles, config, timeframeCandles);
+    state.lastAnalysis = analysis;
 
     this.displayIndicators(analysis.indicators);
+    for (const [timeframe, indicators] of Object.entries(
+      analysis.timeframes || {}
+    )) {
+      this.log(
+        `   Tendencia ${timeframe}: EMA20 ${
+          indicators?.emaFast?.toFixed(2) || "N/D"
+        } / EMA50 ${indicators?.emaSlow?.toFixed(2) || "N/D"}`
+      );
+    }
 
-    // Get current positions
-    const positions = await this.api.getPositions(config.symbol);
-    this.currentPosition = positions.length > 0 ? positions[0] : null;
+    // A limit entry is still working: follow it instead of looking for signals
+    if (state.pendingEntry) {
+      await this.managePendingEntry(symbol, analysis.indicators.currentPrice);
+      return;
+    }
 
-    if (this.currentPosition && this.currentPosition.size !== 0) {
+    // Current position for this symbol
+    state.currentPosition =
+      this.openPositions.find((pos) => pos.symbol === symbol) || null;
+
+    if (state.currentPosition && state.currentPosition.size !== 0) {
       this.log(
-        `📍 Posición Actual: ${this.currentPosition.side} ${this.currentPosition.size} @ $${this.currentPosition.entryPrice}`
+        `📍 Posición Actual: ${state.currentPosition.side} ${state.currentPosition.size} @ $${state.currentPosition.entryPrice}`
       );
 
       // Check if we should exit based on indicators
-      const exitSignal = this.strategy.shouldExitOnIndicator(
-        this.currentPosition,
+      const exitSignal = strategy.shouldExitOnIndicator(
+        state.currentPosition,
         analysis.indicators
       );
       if (exitSignal.exit) {
         this.log(`🚪 Señal de salida detectada: ${exitSignal.reason}`);
-        await this.closePosition();
+        const closed = await this.closePosition(symbol);
+        // A CLOSE alert stays queued until it has closed a position
+        if (closed && analysis.alert?.side === "CLOSE") {
+          strategy.acknowledgeAlert(analysis.alert);
+        }
+        return;
+      }
+
+      // If we have a position and closeOnOppositeSignal is enabled
+      if (config.position.closeOnOppositeSignal) {
+        const oppositeSignal =
+          state.currentPosition.side === "LONG"
+            ? analysis.shortSignal.signal
+            : analysis.longSignal.signal;
+
+        if (oppositeSignal) {
+          this.log("🔄 Señal opuesta detectada - cerrando posición actual");
+          await this.closePosition(symbol);
+          return;
+        }
+      }
+
+      await this.trackTakeProfitFills(symbol);
+      await this.manageStopLoss(symbol, analysis.indicators, candles);
+
+      this.log("✓ Manteniendo posición actual");
+    } else {
+      // Closed by the exchange (SL/TP) or by hand since the last check
+      if (state.trade) {
+        state.trade = null;
+        this.saveState();
+      }
+
+      // No position - check for entry signals
+      if (!strategy.isWithinTradingHours(config, now)) {
+        this.log("⏰ Fuera del horario de trading - sin nuevas entradas");
+        return;
+      }
+
+      if (!this.riskManager.canTradeToday(now, symbol)) {
+        this.log(
+          "📊 Máximo de operaciones por día alcanzado - sin nuevas entradas"
+        );
+        if (this.daily && !this.daily.limitNotified.includes(symbol)) {
+          this.daily.limitNotified.push(symbol);
+          this.notify("riskGuard", {
+            guard: "Daily Trade Limit",
+            message: `${symbol}: daily trade limit reached, no new entries today`,
+          });
+        }
+        return;
+      }
+
+      if (this.entriesPaused) {
+        this.log("⏸️ Nuevas entradas en pausa - omitiendo señales");
         return;
       }
 
-      // If we have a position and closeOnOppositeSignal is enabled
-      if (config.position.closeOnOppositeSignal) {
-        const oppositeSignal =
-          this.currentPosition.side === "LONG"
-            ? analysis.shortSignal.signal
-            : analysis.longSignal.signal;
+      if (this.riskManager.isHalted(now)) {
+        this.log(
+          `⛔ Circuit breaker activo (${this.riskManager.halt.reason}) - sin nuevas entradas`
+        );
+        return;
+      }
+
+      if (config.position.oneTradeAtATime && state.currentPosition) {
+        this.log(
+          "⏳ Modo una operación a la vez - esperando cierre de posición actual"
+        );
+        return;
+      }
+
+      await this.checkEntrySignals(symbol, analysis);
+
+      // An entry alert is used up once it has gone through the entry checks;
+      // until then (gates above, pending entry) it waits for the next check
+      if (analysis.alert && analysis.alert.side !== "CLOSE") {
+        strategy.acknowledgeAlert(analysis.alert);
+      }
+    }
+  }
+
+  /**
+   * Move the stop loss of the open position (breakeven / trailing stop)
+   */
+  async manageStopLoss(symbol, indicators, candles) {
+    const state = this.symbolState[symbol];
+    const position = state.currentPosition;
+
+    // Only positions opened by the bot have a known initial stop
+    if (!state.trade || state.trade.side !== position.side) return;
+
+    const trade = { ...state.trade, entryPrice: position.entryPrice };
+    const update = this.trailingStop.evaluate(trade, indicators, candles);
+    if (!update) return;
+
+    const spec = await this.api.getContractSpec(symbol);
+    update.stopLoss = this.riskManager.formatPrice(update.stopLoss, spec);
+    if (update.stopLoss === state.trade.stopLoss) return;
+
+    this.log(
+      `🛡️ ${update.reason}: stop $${state.trade.stopLoss.toFixed(
+        2
+      )} → $${update.stopLoss.toFixed(2)}`
+    );
+
+    const result = await this.api.replaceStopLoss(
+      symbol,
+      position.side,
+      Math.abs(position.size),
+      update.stopLoss
+    );
+
+    if (!result.success) {
+      this.log(`❌ Error al mover stop loss: ${result.error}`);
+      return;
+    }
+
+    this.logTradeToFile({
+      action: "STOP_UPDATE",
+      symbol,
+      type: position.side,
+      previousStop: state.trade.stopLoss,
+      stopLoss: update.stopLoss,
+      reason: update.reason,
+      price: indicators.currentPrice,
+      orderId: result.orderId,
+      positionId: position.positionId,
+      testMode: config.bot.testMode,
+      timestamp: new Date().toLocaleString(),
+    });
+
+    state.trade.stopLoss = update.stopLoss;
+    state.trade.stopOrderId = result.orderId;
+    this.saveState();
+  }
+
+  /**
+   * Get the latest candleLimit candles of an interval (config.interval by
+   * default)
+   * Uses the WebSocket buffer while the stream is healthy (in both cases the
+   * last candle is the one still forming).
+   * Otherwise falls back to REST; with the cache enabled only candles newer
+   * than the cached ones are fetched
+   */
+  async getCandles(symbol, interval = config.interval) {
+    if (this.stream?.isHealthy()) {
+      const streamed = this.stream.getCandles(
+        symbol,
+        interval,
+        config.candleLimit
+      );
+      if (streamed && streamed.length >= config.candleLimit) return streamed;
+    }
+
+    if (!this.candleCache) {
+      return this.api.getKlines(symbol, interval, config.candleLimit);
+    }
+
+    const cached = this.candleCache.read(symbol, interval);
+    const step = CandleCache.intervalToMs(interval);
+    const last = cached[cached.length - 1];
 
-        if (oppositeSignal) {
-          this.log("🔄 Señal opuesta detectada - cerrando posición actual");
-          await this.closePosition();
-          return;
-        }
-      }
+    // Refetch the last cached candle too, it may have been still forming
+    const missing =
+      last && step ? Math.ceil((Date.now() - last.time) / step) + 1 : Infinity;
+    const limit = Math.min(Math.max(missing, 2), config.candleLimit);
 
-      this.log("✓ Manteniendo posición actual");
-    } else {
-      // No position - check for entry signals
-      if (config.position.oneTradeAtATime && this.currentPosition) {
-        this.log(
-          "⏳ Modo una operación a la vez - esperando cierre de posición actual"
-        );
-        return;
-      }
+    const fresh = await this.api.getKlines(symbol, interval, limit);
+    if (fresh.length === 0) return [];
 
-      await this.checkEntrySignals(analysis);
-    }
+    const candles = this.candleCache.write(symbol, interval, fresh);
+    return candles.slice(-config.candleLimit);
   }
 
   /**
@@ -193,7 +1070,7 @@ class TradingBot {
   /**
    * Check for entry signals and execute trades
    */
-  async checkEntrySignals(analysis) {
+  async checkEntrySignals(symbol, analysis) {
     const { longSignal, shortSignal, indicators } = analysis;
 
     this.log("🎯 Análisis de Señales:");
@@ -203,7 +1080,7 @@ class TradingBot {
       this.log("🟢 ¡SEÑAL DE ENTRADA LONG DETECTADA!");
       longSignal.reasons.forEach((reason) => this.log(`   ${reason}`));
 
-      await this.enterPosition("LONG", indicators);
+      await this.enterPosition(symbol, "LONG", indicators, longSignal.reasons);
     } else if (longSignal.reasons.length > 0) {
       this.log("⚪ Sin señal LONG:");
       longSignal.reasons.forEach((reason) => this.log(`   ${reason}`));
@@ -214,7 +1091,12 @@ class TradingBot {
       this.log("🔴 ¡SEÑAL DE ENTRADA SHORT DETECTADA!");
       shortSignal.reasons.forEach((reason) => this.log(`   ${reason}`));
 
-      await this.enterPosition("SHORT", indicators);
+      await this.enterPosition(
+        symbol,
+        "SHORT",
+        indicators,
+        shortSignal.reasons
+      );
     } else if (shortSignal.reasons.length > 0) {
       this.log("⚪ Sin señal SHORT:");
       shortSignal.reasons.forEach((reason) => this.log(`   ${reason}`));
@@ -224,7 +1106,14 @@ class TradingBot {
   /**
    * Enter a new position
    */
-  async enterPosition(type, indicators) {
+  async enterPosition(symbol, type, indicators, reasons = []) {
+    const strategy = this.strategies[symbol];
+
+    if (this.symbolState[symbol].pendingEntry) {
+      this.log("⚠️ Ya hay una orden de entrada pendiente - omitiendo");
+      return;
+    }
+
     try {
       // Get account balance
       const balance = await this.api.getBalance();
@@ -237,22 +1126,33 @@ class TradingBot {
         return;
       }
 
-      // Calculate stop loss and take profit
+      const { leverage, marginType } = this.symbolState[symbol].margin;
+
+      // Exchange trading rules (quantity step, price tick, minimums)
+      const spec = await this.api.getContractSpec(symbol);
+      if (!spec) {
+        this.log(
+          `⚠️ Sin especificaciones de contrato para ${symbol} - usando precisión estimada`
+        );
+      }
+
+      // Calculate stop loss and take profit, rounded to the tick size
       const entryPrice = indicators.currentPrice;
-      const stopLoss = this.strategy.calculateStopLoss(
-        type,
-        entryPrice,
-        indicators.atr,
-        indicators.swingLow,
-        indicators.swingHigh,
-        config
+      const stopLoss = this.riskManager.formatPrice(
+        strategy.calculateStopLoss(
+          type,
+          entryPrice,
+          indicators.atr,
+          indicators.swingLow,
+          indicators.swingHigh,
+          config
+        ),
+        spec
       );
 
-      const takeProfit = this.strategy.calculateTakeProfit(
-        type,
-        entryPrice,
-        stopLoss,
-        config
+      const takeProfit = this.riskManager.formatPrice(
+        strategy.calculateTakeProfit(type, entryPrice, stopLoss, config),
+        spec
       );
 
       // Calculate position size
@@ -262,12 +1162,12 @@ class TradingBot {
         stopLoss
       );
 
-      // Format position size
-      /* const formattedSize = this.riskManager.formatPositionSize(
+      // Round position size down to the quantity step
+      const formattedSize = this.riskManager.formatPositionSize(
         positionSize,
-        config.symbol
-      ); */
-      const formattedSize = positionSize;
+        symbol,
+        spec
+      );
 
       // Validate trade
       if (
@@ -282,17 +1182,69 @@ class TradingBot {
         return;
       }
 
+      // Reject orders the exchange would refuse
+      if (
+        !this.riskManager.meetsContractMinimums(formattedSize, entryPrice, spec)
+      ) {
+        this.log("⚠️ Operación rechazada por mínimos del contrato");
+        return;
+      }
+
       // Check sufficient balance
       if (
         !this.riskManager.hasSufficientBalance(
           accountBalance,
           formattedSize,
-          entryPrice
+          entryPrice,
+          leverage
+        )
+      ) {
+        return;
+      }
+
+      // Refuse stops that would only trigger after liquidation
+      const liquidationPrice = this.riskManager.estimateLiquidationPrice(
+        type,
+        entryPrice,
+        formattedSize,
+        leverage,
+        marginType,
+        accountBalance
+      );
+      if (
+        !this.riskManager.isStopBeforeLiquidation(
+          type,
+          stopLoss,
+          liquidationPrice
         )
       ) {
+        this.log(
+          "⚠️ Operación rechazada: stop loss más allá de la liquidación"
+        );
         return;
       }
 
+      // Split the position across the take profit ladder
+      const ladder = this.riskManager
+        .splitQuantity(
+          formattedSize,
+          strategy.calculateTakeProfitLadder(
+            type,
+            entryPrice,
+            stopLoss,
+            config
+          ),
+          spec
+        )
+        .map((tranche) => ({
+          ...tranche,
+          price:
+            tranche.price === null
+              ? null
+              : this.riskManager.formatPrice(tranche.price, spec),
+        }));
+      const scaleOut = ladder.length > 1;
+
       // Get trade summary
       const summary = this.riskManager.getTradeSummary(
         type,
@@ -300,111 +1252,669 @@ class TradingBot {
         stopLoss,
         takeProfit,
         formattedSize,
-        accountBalance
+        accountBalance,
+        ladder
       );
 
       this.log("🎯 CONFIGURACIÓN DE OPERACIÓN:");
       this.log(`   Tipo: ${summary.type}`);
       this.log(`   Entrada: $${summary.entryPrice}`);
       this.log(`   Stop Loss: $${summary.stopLoss}`);
-      this.log(`   Take Profit: $${summary.takeProfit}`);
+      if (scaleOut) {
+        ladder.forEach((tranche) =>
+          this.log(
+            `   Take Profit ${tranche.percent}%: ${
+              tranche.price === null
+                ? "sin objetivo (stop/trailing)"
+                : `$${tranche.price.toFixed(2)} (${tranche.r}R)`
+            }`
+          )
+        );
+      } else {
+        this.log(`   Take Profit: $${summary.takeProfit}`);
+      }
       this.log(`   Tamaño de Posición: ${formattedSize}`);
+      this.log(`   Apalancamiento: ${leverage}x (${marginType})`);
       this.log(
         `   Riesgo: $${summary.riskAmount} (${summary.riskPercentage}%)`
       );
       this.log(`   Recompensa: $${summary.rewardAmount}`);
       this.log(`   Ratio R:R: 1:${summary.riskRewardRatio}`);
 
-      // Place order
+      // Check the risk budget shared by every symbol
+      const riskAmount = parseFloat(summary.riskAmount);
+      if (
+        !this.riskManager.canOpenPosition(
+          symbol,
+          riskAmount,
+          balance.balance || accountBalance,
+          [
+            ...this.openPositions.map((pos) => pos.symbol),
+            ...this.pendingSymbols(),
+          ]
+        )
+      ) {
+        this.log("⚠️ Operación rechazada por límites de cartera");
+        return;
+      }
+
+      const plan = {
+        side: type,
+        entryPrice,
+        stopLoss,
+        takeProfit,
+        size: formattedSize,
+        ladder,
+        riskAmount,
+        reasons,
+        summary,
+      };
+
+      if (config.execution.entryType !== "market") {
+        await this.placeLimitEntry(symbol, plan, spec);
+        return;
+      }
+
+      // Place order (a ladder gets one take profit order per tranche instead)
       const side = type === "LONG" ? "BUY" : "SELL";
       const order = await this.api.placeOrder(
-        config.symbol,
+        symbol,
         side,
         formattedSize,
         stopLoss,
-        takeProfit
+        scaleOut ? null : takeProfit
       );
 
       if (order.success) {
+        this.ledger.expect(order.orderId, entryPrice);
         this.log(`✅ ¡ORDEN ${type} COLOCADA EXITOSAMENTE!`);
         this.log(`   ID de Orden: ${order.orderId}`);
         this.log(`   ${config.bot.testMode ? "(Orden de Prueba)" : ""}`);
 
-        this.notify({
-          title: `🎯 ${type} Trade Opened`,
-          message: `${config.symbol}\nEntry: $${summary.entryPrice}\nSize: ${
-            summary.positionSize
-          }\nR:R 1:${summary.riskRewardRatio}${
-            config.bot.testMode ? " (Test Mode)" : ""
-          }`,
-        });
-
-        this.riskManager.recordTrade();
+        const targets = scaleOut
+          ? await this.placeTakeProfitLadder(symbol, type, ladder, spec)
+          : [];
 
-        // Log trade to file
-        this.logTradeToFile({
-          action: "ENTRY",
-          ...summary,
+        this.openTrade(symbol, plan, {
           orderId: order.orderId,
-          testMode: config.bot.testMode,
+          size: formattedSize,
+          entryPrice,
+          targets,
         });
       } else {
         this.log(`❌ Orden fallida: ${order.error}`);
       }
     } catch (error) {
       this.log(`❌ Error al entrar en posición: ${error.message}`);
+      this.notify("error", {
+        message: `${symbol}: entry failed: ${error.message}`,
+      });
       console.error(error);
     }
   }
 
   /**
-   * Close current position
+   * Track a filled entry: trade metadata, daily counter, open risk and logs
+   *
+   * @param {Object} plan - What enterPosition() decided (side, SL/TP, size, ...)
+   * @param {Object} fill - { orderId, size, entryPrice, targets }
    */
-  async closePosition() {
-    if (!this.currentPosition || this.currentPosition.size === 0) {
-      this.log("⚠️ No hay posición para cerrar");
+  openTrade(symbol, plan, fill) {
+    const { summary } = plan;
+
+    this.notify("entry", {
+      symbol,
+      side: plan.side,
+      entryPrice: fill.entryPrice.toFixed(2),
+      size: fill.size,
+      stopLoss: summary.stopLoss,
+      takeProfit: summary.takeProfit,
+      riskReward: summary.riskRewardRatio,
+    });
+    if (this.daily) this.daily.trades++;
+
+    this.symbolState[symbol].trade = {
+      side: plan.side,
+      entryPrice: fill.entryPrice,
+      initialStop: plan.stopLoss,
+      stopLoss: plan.stopLoss,
+      takeProfit: plan.takeProfit,
+      size: fill.size,
+      targets: fill.targets,
+      reasons: plan.reasons,
+      orderId: fill.orderId,
+      openedAt: new Date().toISOString(),
+    };
+
+    this.riskManager.recordTrade(symbol);
+    this.riskManager.registerOpenRisk(
+      symbol,
+      plan.riskAmount * (fill.size / plan.size)
+    );
+    this.openPositions.push({
+      symbol,
+      side: plan.side,
+      size: fill.size,
+      entryPrice: fill.entryPrice,
+    });
+    this.saveState();
+
+    // Log trade to file
+    this.logTradeToFile({
+      action: "ENTRY",
+      symbol,
+      ...summary,
+      ...(fill.size !== plan.size && { filledSize: fill.size }),
+      fillPrice: fill.entryPrice,
+      entryType: config.execution.entryType,
+      orderId: fill.orderId,
+      testMode: config.bot.testMode,
+    });
+  }
+
+  /**
+   * Limit price for an entry, limitOffsetPercent better than the market
+   */
+  limitEntryPrice(type, marketPrice, spec) {
+    const offset = (config.execution.limitOffsetPercent || 0) / 100;
+    return this.riskManager.formatPrice(
+      type === "LONG" ? marketPrice * (1 - offset) : marketPrice * (1 + offset),
+      spec
+    );
+  }
+
+  /**
+   * Place a limit / post-only entry without SL/TP. managePendingEntry()
+   * follows it on every check and attaches SL/TP once it fills.
+   */
+  async placeLimitEntry(symbol, plan, spec) {
+    const postOnly = config.execution.entryType === "postOnly";
+    const side = plan.side === "LONG" ? "BUY" : "SELL";
+    const price = this.limitEntryPrice(plan.side, plan.entryPrice, spec);
+
+    const order = await this.api.placeOrder(
+      symbol,
+      side,
+      plan.size,
+      null,
+      null,
+      { type: "LIMIT", price, postOnly }
+    );
+
+    if (!order.success) {
+      this.log(`❌ Orden límite fallida: ${order.error}`);
       return;
     }
 
-    if (!this.currentPosition.positionId) {
-      this.log("⚠️ No se encontró ID de posición");
+    this.ledger.expect(order.orderId, price);
+    this.log(
+      `📝 Orden ${postOnly ? "post-only" : "límite"} ${plan.side} ${
+        plan.size
+      } @ $${price} colocada (ID ${order.orderId})`
+    );
+
+    this.symbolState[symbol].pendingEntry = {
+      orderId: order.orderId,
+      firstOrderId: order.orderId,
+      price,
+      postOnly,
+      placedAt: this.api.now().getTime(),
+      reprices: 0,
+      // Fills of previous (re-priced) orders and of the working order
+      filledBefore: 0,
+      costBefore: 0,
+      orderFilled: 0,
+      orderAvgPrice: 0,
+      plan,
+    };
+
+    // Reserve the risk budget while the order is working
+    this.riskManager.registerOpenRisk(symbol, plan.riskAmount);
+    this.saveState();
+  }
+
+  /**
+   * Quantity filled so far across every order of a pending entry
+   */
+  pendingFilled(pending) {
+    return pending.filledBefore + pending.orderFilled;
+  }
+
+  /**
+   * Follow a working limit entry: protect partial fills with the stop loss,
+   * re-price post-only orders toward the market and enforce the timeout
+   */
+  async managePendingEntry(symbol, marketPrice) {
+    const pending = this.symbolState[symbol].pendingEntry;
+    const { plan } = pending;
+    const settings = config.execution;
+
+    const order = await this.api.getOrder(symbol, pending.orderId);
+    if (!order) {
+      this.log(
+        `⚠️ No se pudo consultar la orden de entrada ${pending.orderId}`
+      );
+      return;
+    }
+
+    await this.updatePendingFill(symbol, order);
+
+    if (order.status === "FILLED") {
+      await this.completePendingEntry(symbol);
+      return;
+    }
+    if (order.status !== "NEW" && order.status !== "PARTIALLY_FILLED") {
+      this.log(`⚠️ Orden de entrada ${order.status}`);
+      pending.filledBefore += pending.orderFilled;
+      pending.costBefore += pending.orderFilled * pending.orderAvgPrice;
+      pending.orderFilled = 0;
+      await this.completePendingEntry(symbol);
+      return;
+    }
+
+    const filled = this.pendingFilled(pending);
+    this.log(
+      `⏳ Orden de entrada pendiente: ${filled}/${plan.size} @ $${pending.price}`
+    );
+
+    // Timeout: cancel, then optionally take the rest at market
+    const elapsed = this.api.now().getTime() - pending.placedAt;
+    if (elapsed >= settings.timeoutMinutes * 60000) {
+      this.log(
+        `⏰ Orden de entrada sin completar tras ${settings.timeoutMinutes} min`
+      );
+      if (!(await this.cancelPendingOrder(symbol))) return;
+
+      const spec = await this.api.getContractSpec(symbol);
+      const remaining = this.riskManager.formatPositionSize(
+        plan.size - this.pendingFilled(pending),
+        symbol,
+        spec
+      );
+
+      if (
+        settings.onTimeout === "market" &&
+        remaining > 0 &&
+        this.riskManager.meetsContractMinimums(remaining, marketPrice, spec)
+      ) {
+        const side = plan.side === "LONG" ? "BUY" : "SELL";
+        const market = await this.api.placeOrder(symbol, side, remaining);
+        if (market.success) {
+          this.ledger.expect(market.orderId, marketPrice);
+          pending.filledBefore += remaining;
+          pending.costBefore += remaining * marketPrice;
+          this.log(`➡️ Resto de la entrada (${remaining}) ejecutado a mercado`);
+        } else {
+          this.log(`❌ Orden a mercado fallida: ${market.error}`);
+        }
+      }
+
+      await this.completePendingEntry(symbol);
+      return;
+    }
+
+    // Post-only: follow the market a bounded number of times
+    if (!pending.postOnly || pending.reprices >= settings.maxReprices) return;
+
+    const spec = await this.api.getContractSpec(symbol);
+    const price = this.limitEntryPrice(plan.side, marketPrice, spec);
+    const towardMarket =
+      plan.side === "LONG" ? price > pending.price : price < pending.price;
+    if (!towardMarket) return;
+
+    if (!(await this.cancelPendingOrder(symbol))) return;
+
+    const remaining = this.riskManager.formatPositionSize(
+      plan.size - this.pendingFilled(pending),
+      symbol,
+      spec
+    );
+    if (!this.riskManager.meetsContractMinimums(remaining, price, spec)) {
+      await this.completePendingEntry(symbol);
+      return;
+    }
+
+    const side = plan.side === "LONG" ? "BUY" : "SELL";
+    const replacement = await this.api.placeOrder(
+      symbol,
+      side,
+      remaining,
+      null,
+      null,
+      { type: "LIMIT", price, postOnly: true }
+    );
+
+    if (!replacement.success) {
+      this.log(`❌ No se pudo re-cotizar la orden: ${replacement.error}`);
+      await this.completePendingEntry(symbol);
+      return;
+    }
+
+    this.ledger.expect(replacement.orderId, price);
+    pending.orderId = replacement.orderId;
+    pending.price = price;
+    pending.reprices++;
+    this.log(
+      `🔁 Orden post-only re-cotizada a $${price} (${pending.reprices}/${settings.maxReprices})`
+    );
+    this.saveState();
+  }
+
+  /**
+   * Record new fills of the working order; partial fills are protected
+   * with a stop loss right away
+   */
+  async updatePendingFill(symbol, order) {
+    const pending = this.symbolState[symbol].pendingEntry;
+    if (order.executedQty <= pending.orderFilled) return;
+
+    pending.orderFilled = order.executedQty;
+    pending.orderAvgPrice = order.avgPrice || pending.price;
+    this.saveState();
+
+    if (order.status !== "PARTIALLY_FILLED") return;
+
+    const filled = this.pendingFilled(pending);
+    this.log(`🧩 Entrada parcial: ${filled}/${pending.plan.size} ejecutado`);
+
+    const result = await this.api.replaceStopLoss(
+      symbol,
+      pending.plan.side,
+      filled,
+      pending.plan.stopLoss
+    );
+    if (!result.success) {
+      this.log(`❌ Error al proteger la entrada parcial: ${result.error}`);
+      this.notify("error", {
+        message: `${symbol}: stop loss for partial entry failed: ${result.error}`,
+      });
+    }
+  }
+
+  /**
+   * Cancel the working order and fold its final fills into the entry
+   *
+   * @returns {boolean} Whether the order is no longer working
+   */
+  async cancelPendingOrder(symbol) {
+    const pending = this.symbolState[symbol].pendingEntry;
+    const result = await this.api.cancelOrder(symbol, pending.orderId);
+
+    // It may have filled in the meantime
+    const order = await this.api.getOrder(symbol, pending.orderId);
+    if (!result.success && order?.status !== "FILLED") {
+      this.log(`❌ Error al cancelar la orden de entrada: ${result.error}`);
+      return false;
+    }
+
+    if (order) {
+      pending.orderFilled = Math.max(pending.orderFilled, order.executedQty);
+      pending.orderAvgPrice = order.avgPrice || pending.orderAvgPrice;
+    }
+    pending.filledBefore += pending.orderFilled;
+    pending.costBefore += pending.orderFilled * pending.orderAvgPrice;
+    pending.orderFilled = 0;
+    pending.orderAvgPrice = 0;
+    return true;
+  }
+
+  /**
+   * Finish a limit entry: attach SL/TP to whatever was filled, or release
+   * the reserved risk when nothing was
+   */
+  async completePendingEntry(symbol) {
+    const state = this.symbolState[symbol];
+    const pending = state.pendingEntry;
+    const { plan } = pending;
+    const filled = this.pendingFilled(pending);
+
+    state.pendingEntry = null;
+
+    if (filled <= 0) {
+      this.log("❎ Entrada cancelada sin ejecución");
+      this.riskManager.releaseOpenRisk(symbol);
+      this.saveState();
+      return;
+    }
+
+    const entryPrice =
+      (pending.costBefore + pending.orderFilled * pending.orderAvgPrice) /
+      filled;
+    this.log(
+      `✅ ¡ENTRADA ${plan.side} EJECUTADA! ${filled} @ $${entryPrice.toFixed(
+        2
+      )}`
+    );
+
+    // SL/TP are only attached now that the size is known
+    const stop = await this.api.replaceStopLoss(
+      symbol,
+      plan.side,
+      filled,
+      plan.stopLoss
+    );
+    if (!stop.success) {
+      this.log(`❌ Error al colocar stop loss: ${stop.error}`);
+      this.notify("error", {
+        message: `${symbol}: stop loss order failed: ${stop.error}`,
+      });
+    }
+
+    const spec = await this.api.getContractSpec(symbol);
+    const ladder = this.riskManager.splitQuantity(filled, plan.ladder, spec);
+    let targets = [];
+
+    if (ladder.length > 1) {
+      targets = await this.placeTakeProfitLadder(
+        symbol,
+        plan.side,
+        ladder,
+        spec
+      );
+    } else {
+      const takeProfit = await this.api.placeTakeProfitOrder(
+        symbol,
+        plan.side,
+        filled,
+        plan.takeProfit
+      );
+      if (!takeProfit.success) {
+        this.log(`❌ Error al colocar take profit: ${takeProfit.error}`);
+      }
+    }
+
+    this.openTrade(symbol, plan, {
+      orderId: pending.firstOrderId,
+      size: filled,
+      entryPrice,
+      targets,
+    });
+  }
+
+  /**
+   * Place one take profit order per priced tranche of the ladder
+   * Tranches without a target are left to the stop loss / trailing stop
+   */
+  async placeTakeProfitLadder(symbol, type, ladder, spec) {
+    const targets = [];
+
+    for (const tranche of ladder) {
+      if (tranche.price === null) continue;
+
+      // Too small to place on its own: it stays with the rest of the position
+      if (
+        tranche.quantity <= 0 ||
+        tranche.quantity < (spec?.minQuantity || 0)
+      ) {
+        this.log(
+          `⚠️ Take profit ${tranche.percent}% por debajo de la cantidad mínima - omitido`
+        );
+        continue;
+      }
+
+      const result = await this.api.placeTakeProfitOrder(
+        symbol,
+        type,
+        tranche.quantity,
+        tranche.price
+      );
+
+      if (result.success) {
+        targets.push({ ...tranche, orderId: result.orderId, filled: false });
+      } else {
+        this.log(
+          `❌ Error al colocar take profit ${tranche.percent}%: ${result.error}`
+        );
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Detect take profit tranches filled since the last check from the
+   * position size left on the exchange
+   */
+  async trackTakeProfitFills(symbol) {
+    const state = this.symbolState[symbol];
+    const position = state.currentPosition;
+    if (!state.trade?.targets?.length || state.trade.side !== position.side) {
       return;
     }
 
+    const size = Math.abs(position.size);
+    let closed = 0;
+    let remaining = null; // Size left, rounded to the quantity step
+
+    for (const target of state.trade.targets) {
+      closed += target.quantity;
+      if (target.filled || size > state.trade.size - closed + 1e-9) continue;
+
+      target.filled = true;
+      if (remaining === null) {
+        const spec = await this.api.getContractSpec(symbol);
+        remaining = this.riskManager.formatPositionSize(size, symbol, spec);
+      }
+
+      // Actual fill price, the trigger price if the order can't be queried
+      const order = target.orderId
+        ? await this.api.getOrder(symbol, target.orderId).catch(() => null)
+        : null;
+      const exitPrice = order?.avgPrice || target.price;
+
+      this.log(
+        `💰 Take profit ${target.percent}% ejecutado en $${exitPrice.toFixed(
+          2
+        )} (${target.r}R) - quedan ${remaining}`
+      );
+
+      this.logTradeToFile({
+        action: "PARTIAL_EXIT",
+        symbol,
+        type: position.side,
+        exitPrice,
+        targetPrice: target.price,
+        quantity: target.quantity,
+        remaining,
+        orderId: target.orderId,
+        positionId: position.positionId,
+        testMode: config.bot.testMode,
+        timestamp: new Date().toLocaleString(),
+      });
+      this.notify("partialExit", {
+        symbol,
+        side: position.side,
+        exitPrice: exitPrice.toFixed(2),
+        quantity: target.quantity,
+        percent: target.percent,
+        remaining,
+      });
+      this.saveState();
+    }
+  }
+
+  /**
+   * Close current position for a symbol
+   *
+   * @returns {boolean} Whether the position was closed
+   */
+  async closePosition(symbol) {
+    const state = this.symbolState[symbol];
+
+    if (!state.currentPosition || state.currentPosition.size === 0) {
+      this.log("⚠️ No hay posición para cerrar");
+      return false;
+    }
+
+    if (!state.currentPosition.positionId) {
+      this.log("⚠️ No se encontró ID de posición");
+      return false;
+    }
+
     try {
-      this.log(`\n🚪 Cerrando posición ${this.currentPosition.side}...`);
-      this.log(`   Position ID: ${this.currentPosition.positionId}`);
+      this.log(`\n🚪 Cerrando posición ${state.currentPosition.side}...`);
+      this.log(`   Position ID: ${state.currentPosition.positionId}`);
 
       const result = await this.api.closePosition(
-        this.currentPosition.positionId
+        state.currentPosition.positionId
       );
 
       if (result.success) {
+        const lastPrice = state.lastAnalysis?.indicators?.currentPrice;
+        this.ledger.expect(result.orderId, lastPrice);
+
+        // Confirm the fill of the closing order
+        const order = result.orderId
+          ? await this.api.getOrder(symbol, result.orderId).catch(() => null)
+          : null;
+        const fillPrice = order?.avgPrice || null;
+
         this.log(`✅ ¡Posición cerrada exitosamente!`);
+        if (fillPrice)
+          this.log(`   Precio de salida: $${fillPrice.toFixed(2)}`);
         this.log(
-          `   P&L: $${
-            this.currentPosition.unrealizedProfit?.toFixed(2) || "N/D"
-          }`
+          `   P&L estimado: $${
+            state.currentPosition.unrealizedProfit?.toFixed(2) || "N/D"
+          } (el P&L real se registra en ${config.ledger.file})`
         );
 
+        // Realized figures come from the fills, see syncLedger()
         this.logTradeToFile({
           action: "EXIT",
-          type: this.currentPosition.side,
-          exitPrice: this.lastAnalysis?.indicators?.currentPrice,
-          pnl: this.currentPosition.unrealizedProfit,
+          symbol,
+          type: state.currentPosition.side,
+          lastPrice,
+          fillPrice,
+          unrealizedPnl: state.currentPosition.unrealizedProfit,
           orderId: result.orderId,
-          positionId: this.currentPosition.positionId,
+          positionId: state.currentPosition.positionId,
           testMode: config.bot.testMode,
           timestamp: new Date().toLocaleString(),
         });
 
-        this.currentPosition = null;
-      } else {
-        this.log(`❌ Error al cerrar posición: ${result.error}`);
+        this.riskManager.releaseOpenRisk(symbol);
+        this.closedSinceLastTick.push(symbol);
+        this.openPositions = this.openPositions.filter(
+          (pos) => pos.symbol !== symbol
+        );
+        state.currentPosition = null;
+        state.trade = null;
+        this.saveState();
+        return true;
       }
+
+      this.log(`❌ Error al cerrar posición: ${result.error}`);
+      this.notify("error", {
+        message: `${symbol}: close failed: ${result.error}`,
+      });
+      return false;
     } catch (error) {
       this.log(`❌ Error al cerrar posición: ${error.message}`);
+      this.notify("error", {
+        message: `${symbol}: close failed: ${error.message}`,
+      });
       console.error(error);
+      return false;
     }
   }
 
@@ -417,15 +1927,50 @@ class TradingBot {
   }
 
   /**
-   * Sleep helper
+   * Sleep helper; wakeUp() ends the wait early
    */
   sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+}
+
+// Strategy selection from the command line overrides config.strategy
+const { values: args } = parseArgs({
+  options: {
+    strategy: { type: "string" },
+    params: { type: "string" },
+  },
+});
+
+if (args.strategy) {
+  config.strategy.name = args.strategy;
+  config.strategy.params = {};
+}
+if (args.params) {
+  let params;
+  try {
+    params = JSON.parse(args.params);
+  } catch (error) {
+    console.error(`❌ --params no es un JSON válido: ${error.message}`);
+    process.exit(1);
   }
+  config.strategy.params = { ...config.strategy.params, ...params };
 }
 
 // Start the bot
-const bot = new TradingBot();
+let bot;
+try {
+  bot = new TradingBot();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 // Handle graceful shutdown
 process.on("SIGINT", () => {
@@ -434,6 +1979,11 @@ process.on("SIGINT", () => {
   process.exit(0);
 });
 
+// Re-arm the circuit breaker: kill -USR2 <pid>
+process.on("SIGUSR2", () => {
+  bot.rearmCircuitBreaker();
+});
+
 process.on("SIGTERM", () => {
   bot.log("\n👋 Señal de terminación recibida");
   bot.stop();
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+const INTERVAL_MS = {
+  "1m": 60000,
+  "3m": 3 * 60000,
+  "5m": 5 * 60000,
+  "15m": 15 * 60000,
+  "30m": 30 * 60000,
+  "1h": 3600000,
+  "2h": 2 * 3600000,
+  "4h": 4 * 3600000,
+  "6h": 6 * 3600000,
+  "8h": 8 * 3600000,
+  "12h": 12 * 3600000,
+  "1d": 86400000,
+  "3d": 3 * 86400000,
+  "1w": 7 * 86400000,
+};
+
+/**
+ * Candle Cache
+ * Stores historical klines on disk as JSON Lines, one file per
+ * symbol/interval, so candles are only downloaded once
+ */
+class CandleCache {
+  constructor(dir = config.data.cacheDir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Duration of one candle in milliseconds (null if not fixed, e.g. 1M)
+   */
+  static intervalToMs(interval) {
+    return INTERVAL_MS[interval] || null;
+  }
+
+  /**
+   * Sort candles by time and drop duplicates (later entries win)
+   */
+  static dedupe(candles) {
+    const byTime = new Map();
+    for (const candle of candles) {
+      byTime.set(candle.time, candle);
+    }
+    return [...byTime.values()].sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Find missing candles between consecutive entries
+   * Returns [{ from, to, missing }] with times of the candles around each gap
+   */
+  static findGaps(candles, interval) {
+    const step = this.intervalToMs(interval);
+    if (!step) return [];
+
+    const gaps = [];
+    for (let i = 1; i < candles.length; i++) {
+      const diff = candles[i].time - candles[i - 1].time;
+      if (diff > step) {
+        gaps.push({
+          from: candles[i - 1].time,
+          to: candles[i].time,
+          missing: Math.round(diff / step) - 1,
+        });
+      }
+    }
+    return gaps;
+  }
+
+  /**
+   * Aggregate candles into a higher interval (e.g. 15m → 4h), with buckets
+   * aligned to the epoch like the exchange's. The last bucket may still be
+   * forming.
+   */
+  static resample(candles, interval) {
+    const step = this.intervalToMs(interval);
+    if (!step) return [];
+
+    const buckets = [];
+    for (const candle of candles) {
+      const time = Math.floor(candle.time / step) * step;
+      const last = buckets[buckets.length - 1];
+
+      if (last && last.time === time) {
+        last.high = Math.max(last.high, candle.high);
+        last.low = Math.min(last.low, candle.low);
+        last.close = candle.close;
+        last.volume += candle.volume;
+      } else {
+        buckets.push({
+          time,
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          volume: candle.volume,
+        });
+      }
+    }
+    return buckets;
+  }
+
+  /**
+   * Drop candles that have not closed yet at `now`
+   */
+  static closedCandles(candles, interval, now) {
+    const step = this.intervalToMs(interval);
+    if (!step) return candles;
+
+    return candles.filter((candle) => candle.time + step <= now);
+  }
+
+  /**
+   * Cache file for a symbol/interval pair
+   */
+  filePath(symbol, interval) {
+    return path.join(this.dir, `${symbol}_${interval}.jsonl`);
+  }
+
+  /**
+   * Read cached candles, optionally limited to a time range
+   */
+  read(symbol, interval, { startTime, endTime } = {}) {
+    const file = this.filePath(symbol, interval);
+    if (!fs.existsSync(file)) return [];
+
+    return fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .filter(
+        (c) =>
+          (startTime === undefined || c.time >= startTime) &&
+          (endTime === undefined || c.time <= endTime)
+      );
+  }
+
+  /**
+   * Merge candles into the cache and return the full cached series
+   */
+  write(symbol, interval, candles) {
+    const merged = CandleCache.dedupe([
+      ...this.read(symbol, interval),
+      ...candles,
+    ]);
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(
+      this.filePath(symbol, interval),
+      merged.map((c) => JSON.stringify(c)).join("\n") + "\n"
+    );
+
+    return merged;
+  }
+}
+
+module.exports = CandleCache;
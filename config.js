@@ -7,10 +7,30 @@ module.exports = {
   // === TRADING PAIR ===
   symbol: process.env.SYMBOL || "BTC-USDT", // Default to BTC if not specified
 
+  // === PORTFOLIO MODE ===
+  // Comma-separated SYMBOLS trades several pairs in one process
+  symbols: (process.env.SYMBOLS || process.env.SYMBOL || "BTC-USDT")
+    .split(",")
+    .map((s) => s.trim()),
+  portfolio: {
+    maxConcurrentPositions: 3, // Open positions across all symbols
+    maxTradesPerDay: 6, // Trades per day across all symbols
+    maxOpenRiskPercent: 6, // Sum of open stop-loss risk as % of the account
+  },
+
   // === TIMEFRAME ===
   interval: "15m", // 15-minute candles
   candleLimit: 100, // Number of historical candles to fetch
 
+  // === STRATEGY ===
+  strategy: {
+    name: process.env.STRATEGY || "trend-breakout", // File or class name in strategies/
+    params: {}, // Overrides for the strategy's defaultParams
+    perSymbol: {
+      // "ETH-USDT": { name: "trend-breakout", params: { minConditions: 4 } },
+    },
+  },
+
   // === INDICATOR PARAMETERS ===
   indicators: {
     emaFast: 20, // Fast EMA period
@@ -36,18 +56,112 @@ module.exports = {
       period: 20, // Average volume lookback period
       spikeMultiplier: 1.3, // Volume must be 30% above average (1.5 = 50%, 1.2 = 20%)
     },
+
+    // Update the core indicators candle by candle instead of recomputing
+    // them on every check. Their values then follow the whole history seen
+    // since the bot started, not only the last candleLimit candles.
+    incremental: process.env.INCREMENTAL_INDICATORS === "true",
+
+    // Optional indicators, computed only for strategies that request them
+    bollinger: {
+      period: 20,
+      stdDev: 2, // Band width in standard deviations
+    },
+
+    vwap: {
+      sessionHourUTC: 0, // Hour the VWAP session resets
+      bandMultipliers: [1, 2], // Standard deviation bands around the VWAP
+    },
+
+    adx: {
+      period: 14,
+      trendThreshold: 25, // ADX at or above this = trending market
+    },
+
+    supertrend: {
+      period: 10, // ATR period
+      multiplier: 3, // ATR multiple of the bands
+    },
+
+    stochRsi: {
+      rsiPeriod: 14,
+      stochasticPeriod: 14,
+      kPeriod: 3, // %K smoothing
+      dPeriod: 3, // %D smoothing
+      overbought: 80,
+      oversold: 20,
+    },
+
+    ichimoku: {
+      conversionPeriod: 9, // Tenkan-sen
+      basePeriod: 26, // Kijun-sen
+      spanPeriod: 52, // Senkou span B
+      displacement: 26, // Cloud shift (needs spanPeriod + displacement candles)
+    },
+
+    obv: {
+      signalPeriod: 20, // EMA of the OBV used as signal line
+    },
+
+    keltner: {
+      emaPeriod: 20, // Middle line
+      atrPeriod: 10,
+      multiplier: 2, // ATR multiple of the channel
+    },
   },
 
   // === RISK MANAGEMENT ===
   risk: {
     riskPercentage: 2, // Risk 2% of account per trade (1-2% recommended)
     takeProfitMultiplier: 2, // TP = 2× Stop Loss (1.5-2x recommended)
+    // Scale-out targets replacing the single TP (empty = single TP).
+    // r: null leaves that tranche to the stop loss / trailing stop
+    takeProfitLadder: [
+      // { percent: 50, r: 1 },
+      // { percent: 30, r: 2 },
+      // { percent: 20, r: null },
+    ],
     stopLossATRMultiplier: 1, // Stop loss = 1× ATR
     maxTradesPerDay: 3, // Maximum trades per day (3-5 recommended)
     minPositionSizeUSDT: 10, // Minimum position size in USDT
     maxPositionSizeUSDT: 1000, // Maximum position size in USDT
   },
 
+  // === LEVERAGE & MARGIN ===
+  // Applied to the account and verified at startup
+  margin: {
+    leverage: 1, // Leverage for every symbol
+    marginType: "ISOLATED", // "ISOLATED" or "CROSSED"
+    perSymbol: {
+      // "ETH-USDT": { leverage: 3, marginType: "CROSSED" },
+    },
+    maintenanceMarginRate: 0.005, // Used to estimate the liquidation price
+  },
+
+  // === CIRCUIT BREAKER ===
+  // Stops opening new positions when a guard trips (open positions are still managed)
+  circuitBreaker: {
+    enabled: true,
+    maxDailyLossUSDT: null, // Max realized loss per day in USDT (null = off)
+    maxDailyLossPercent: 5, // Max realized loss per day, % of the equity at day start
+    maxConsecutiveLosses: 4, // Losing trades in a row
+    maxDrawdownPercent: 15, // Equity drop from its high-water mark (%)
+    cooldownMinutes: 720, // Pause before re-arming (null = until re-armed by hand)
+  },
+
+  // === TRAILING STOP ===
+  trailingStop: {
+    enabled: false, // Manage the stop loss of open positions every check
+    mode: "atr", // "atr", "percent", "swing" or null (breakeven only)
+    atrMultiplier: 1.5, // atr mode: stop = price ∓ 1.5× ATR
+    percent: 1, // percent mode: stop = price ∓ 1%
+    swingLookback: 10, // swing mode: lowest low / highest high of N candles
+    activationR: 1, // Start trailing after +1R (0 = from entry)
+    breakevenAtR: 1, // Move stop to entry after +1R (null to disable)
+    breakevenOffsetPercent: 0.05, // Lock in 0.05% beyond entry to cover fees
+    minStepPercent: 0.05, // Ignore stop moves smaller than this
+  },
+
   // === TRADING HOURS ===
   tradingHours: {
     enabled: false, // Enable trading hours restriction
@@ -59,8 +173,111 @@ module.exports = {
   bot: {
     checkInterval: 120000, // Interval in milliseconds
     testMode: true, // Run in test mode
+    exchange: process.env.EXCHANGE || "bingx", // "bingx" or "simulated" (offline)
     logTrades: true, // Log all trading decisions
     logFile: "trades.log", // Log file name
+    stateFile: "bot-state.json", // Daily counters and open trades, restored on restart
+  },
+
+  // === API CLIENT ===
+  api: {
+    timeout: 10000, // Request timeout in milliseconds
+    maxRetries: 3, // Retries for read-only (GET) requests
+    retryDelay: 500, // First retry delay in ms, doubled on every retry
+    recvWindow: 5000, // How long (ms) a signed request stays valid at the exchange
+    timeSyncInterval: 1800000, // Re-sync the clock offset with the server every 30 minutes
+    maxClockDrift: 1000, // Warn when the local clock is off by more than this (ms)
+    rateLimits: {
+      market: { limit: 100, windowMs: 10000 }, // Public market data (/quote/), per IP
+      account: { limit: 1000, windowMs: 10000 }, // Signed account endpoints, per API key
+      trade: { limit: 5, windowMs: 1000 }, // Placing / cancelling orders (also counts as account)
+    },
+  },
+
+  // === CONTROL API ===
+  control: {
+    enabled: process.env.CONTROL_API === "true", // Local HTTP API (status, pause, close)
+    host: "127.0.0.1", // Only reachable from this machine
+    port: parseInt(process.env.CONTROL_PORT || "8787", 10),
+    token: process.env.CONTROL_TOKEN || null, // Required: sent as "Authorization: Bearer <token>"
+    recentTrades: 20, // Records returned by GET /trades by default
+    maxTrades: 500, // Largest ?limit accepted by GET /trades
+  },
+
+  // Webhook signal source (TradingView-style alerts) for symbols using the
+  // "webhook" strategy
+  signals: {
+    enabled: process.env.SIGNAL_WEBHOOK === "true",
+    host: "127.0.0.1", // Put a reverse proxy or tunnel in front to receive alerts from outside
+    port: parseInt(process.env.SIGNAL_PORT || "8788", 10),
+    path: "/webhook",
+    token: process.env.SIGNAL_TOKEN || null, // Required: Bearer header or "token" field of the alert
+    maxAgeSeconds: 120, // Alerts older than this (by their timestamp) are rejected or dropped
+    dedupWindowMinutes: 1440, // An alert id is accepted only once within this window
+  },
+
+  // === NOTIFICATIONS ===
+  notifications: {
+    // Channels and the events routed to each ("*" = every event).
+    // Types: desktop, webhook, telegram, discord, slack, email
+    channels: [
+      { type: "desktop", events: ["*"] },
+      // {
+      //   type: "telegram",
+      //   botToken: process.env.TELEGRAM_BOT_TOKEN,
+      //   chatId: process.env.TELEGRAM_CHAT_ID,
+      //   events: ["entry", "stopLoss", "takeProfit", "exit", "error", "riskGuard", "dailySummary"],
+      // },
+      // { type: "discord", url: process.env.DISCORD_WEBHOOK_URL, events: ["*"] },
+      // { type: "slack", url: process.env.SLACK_WEBHOOK_URL, events: ["*"] },
+      // { type: "webhook", url: "http://localhost:9000/bot-events", headers: {}, events: ["*"] },
+      // {
+      //   type: "email",
+      //   host: "smtp.example.com", port: 587, user: process.env.SMTP_USER, pass: process.env.SMTP_PASS,
+      //   from: "bot@example.com", to: "me@example.com",
+      //   events: ["error", "riskGuard", "dailySummary"],
+      // },
+    ],
+    // {name} is replaced with the event data; {mode} is " (Test Mode)" in test mode
+    templates: {
+      entry: {
+        title: "🎯 {side} Trade Opened",
+        message:
+          "{symbol}\nEntry: ${entryPrice}\nSize: {size}\nR:R 1:{riskReward}{mode}",
+      },
+      partialExit: {
+        title: "💰 Partial Take Profit",
+        message:
+          "{symbol} {side}\nClosed {quantity} ({percent}%) @ ${exitPrice}\nRemaining: {remaining}{mode}",
+      },
+      takeProfit: {
+        title: "💰 Take Profit Hit",
+        message:
+          "{symbol} {side}\nExit: ${exitPrice}\nNet P&L: ${netPnl}{mode}",
+      },
+      stopLoss: {
+        title: "🛑 Stop Loss Hit",
+        message:
+          "{symbol} {side}\nExit: ${exitPrice}\nNet P&L: ${netPnl}{mode}",
+      },
+      exit: {
+        title: "🚪 {side} Trade Closed",
+        message:
+          "{symbol} ({reason})\nExit: ${exitPrice}\nNet P&L: ${netPnl}{mode}",
+      },
+      error: { title: "❌ Bot Error", message: "{message}" },
+      riskGuard: { title: "🚨 {guard}", message: "{message}" },
+      dailySummary: {
+        title: "📊 Daily Summary {date}",
+        message:
+          "Trades: {trades} (won {wins} / lost {losses})\nNet P&L: ${netPnl}\nEquity: ${equity}{mode}",
+      },
+    },
+    rateLimit: {
+      maxMessages: 10, // Per channel within windowMs; the rest are dropped
+      windowMs: 60000,
+      duplicateWindowMs: 300000, // Drop an identical message sent within 5 minutes
+    },
   },
 
   // === POSITION MANAGEMENT ===
@@ -68,4 +285,79 @@ module.exports = {
     oneTradeAtATime: true, // Only allow one open position at a time
     closeOnOppositeSignal: true, // Close long if short signal, vice versa
   },
+
+  // === MARKET DATA ===
+  data: {
+    useCache: true, // Read candles from the local cache, only fetch new ones
+    cacheDir: "data", // Directory for cached klines (JSON Lines per symbol/interval)
+    pageLimit: 1000, // Candles per request when downloading history (max 1440)
+    contractsTtl: 3600000, // Refresh cached contract specs (step, tick, minimums) every hour
+  },
+
+  // === ENTRY EXECUTION ===
+  execution: {
+    entryType: "market", // "market", "limit" or "postOnly" (maker only)
+    limitOffsetPercent: 0.02, // Limit price this % better than the current price
+    maxReprices: 3, // Post-only: times the order follows the market
+    timeoutMinutes: 10, // Give up on an unfilled limit entry after this long
+    onTimeout: "cancel", // "cancel" or "market" (fill the rest at market)
+  },
+
+  // === TRADE LEDGER ===
+  ledger: {
+    file: "ledger.jsonl", // Round trips rebuilt from exchange fills (JSON Lines)
+    lookbackDays: 7, // Fill history scanned on each sync (BingX keeps 7 days)
+  },
+
+  // === STREAMING MARKET DATA ===
+  stream: {
+    enabled: true, // Run on WebSocket candle closes (REST polling as fallback)
+    url: "wss://open-api-swap.bingx.com/swap-market",
+    testUrl: "wss://vst-open-api-ws.bingx.com/swap-market",
+    bufferSize: 200, // Candles kept in memory per symbol (> candleLimit)
+    staleTimeout: 30000, // Reconnect if no message (incl. Ping) for this long
+    maxReconnectDelay: 60000, // Upper bound for reconnect backoff in ms
+    closeSettleDelay: 2000, // Wait for other symbols' closes before analysing
+  },
+
+  // === SIMULATED EXCHANGE ===
+  simulator: {
+    dataFile: process.env.SIM_DATA_FILE || "candles.json", // Candles replayed ({symbol} is replaced per symbol)
+    initialBalance: 1000, // Starting account balance in USDT
+    feeRate: 0.0005, // Taker fee per side (0.05%)
+    makerFeeRate: 0.0002, // Fee for filled limit orders (0.02%)
+    slippagePercent: 0.02, // Slippage applied to market fills (0.02%)
+    checkInterval: 1000, // Replaces bot.checkInterval (one candle per check)
+    contract: {
+      quantityStep: 0.0001, // Order quantity increment
+      tickSize: 0.01, // Price increment
+      minQuantity: 0.0001, // Smallest order quantity
+      minNotional: 2, // Smallest order value in USDT
+    },
+  },
+
+  // === BACKTESTING ===
+  backtest: {
+    initialBalance: 1000, // Starting account balance in USDT
+    feeRate: 0.0005, // Taker fee per side (0.05%)
+    slippagePercent: 0.02, // Slippage applied to market fills (0.02%)
+  },
+
+  // === PARAMETER OPTIMIZATION ===
+  optimizer: {
+    metric: "profitFactor", // profitFactor, sharpe, maxDrawdownPct, netPnl, winRate
+    minTrades: 10, // Runs with fewer trades rank last
+    folds: 4, // Walk-forward windows
+    inSampleRatio: 0.7, // Share of each window used for optimisation
+    // Values to sweep, as dot paths into this config
+    grid: {
+      "indicators.emaFast": [10, 20],
+      "indicators.emaSlow": [50, 80],
+      "indicators.rsi.overbought": [70, 75],
+      "indicators.rsi.oversold": [25, 30],
+      "indicators.volume.spikeMultiplier": [1.2, 1.5],
+      "risk.stopLossATRMultiplier": [1, 1.5],
+      "risk.takeProfitMultiplier": [1.5, 2, 3],
+    },
+  },
 };
@@ -0,0 +1,183 @@
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const config = require("./config");
+
+/**
+ * Control Server
+ * Optional local HTTP API to operate a running TradingBot: status, pause /
+ * resume of new entries, force-close of a position and recent trades.
+ * Bound to localhost by default; every request needs the bearer token.
+ *
+ *   GET  /status
+ *   POST /pause
+ *   POST /resume
+ *   POST /close     { "symbol": "BTC-USDT" } (optional with a single symbol)
+ *   POST /rearm     Re-arm the circuit breaker
+ *   GET  /trades?limit=20
+ */
+class ControlServer {
+  constructor(bot, options = {}) {
+    const settings = { ...config.control, ...options };
+
+    if (!settings.token) {
+      throw new Error(
+        "La API de control necesita un token (control.token o CONTROL_TOKEN)"
+      );
+    }
+
+    this.bot = bot;
+    this.host = settings.host;
+    this.port = settings.port;
+    this.token = settings.token;
+    this.recentTrades = settings.recentTrades;
+    this.maxTrades = settings.maxTrades;
+    this.server = null;
+
+    this.routes = {
+      "GET /status": () => this.bot.getStatus(),
+      "POST /pause": () => this.bot.pauseEntries(),
+      "POST /resume": () => this.bot.resumeEntries(),
+      "POST /close": (query, body) => this.close(body.symbol ?? query.symbol),
+      "POST /rearm": () => this.bot.rearmCircuitBreaker(),
+      "GET /trades": (query) =>
+        this.readTrades(parseInt(query.limit, 10) || this.recentTrades),
+    };
+  }
+
+  /**
+   * Start listening
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    this.server?.close();
+    this.server = null;
+  }
+
+  /**
+   * Authenticate, route and answer a request with JSON
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    const route = this.routes[`${req.method} ${url.pathname}`];
+
+    try {
+      if (!this.isAuthorized(req)) {
+        return this.send(res, 401, { error: "Token inválido" });
+      }
+      if (!route) {
+        return this.send(res, 404, { error: "Ruta desconocida" });
+      }
+
+      const body = req.method === "POST" ? await this.readBody(req) : {};
+      const query = Object.fromEntries(url.searchParams);
+      const result = await route(query, body);
+
+      this.send(res, result?.error ? 400 : 200, result ?? { ok: true });
+    } catch (error) {
+      this.send(res, 500, { error: error.message });
+    }
+  }
+
+  /**
+   * Compare the bearer token in constant time
+   */
+  isAuthorized(req) {
+    const header = req.headers.authorization || "";
+    const given = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(this.token);
+
+    return (
+      given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected)
+    );
+  }
+
+  /**
+   * Parse a JSON request body (empty body = {})
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let raw = "";
+      req.on("data", (chunk) => {
+        raw += chunk;
+        if (raw.length > 1e5) {
+          reject(new Error("Cuerpo de la petición demasiado grande"));
+          req.destroy();
+        }
+      });
+      req.on("end", () => {
+        try {
+          resolve(raw.trim() ? JSON.parse(raw) : {});
+        } catch {
+          reject(new Error("JSON inválido"));
+        }
+      });
+      req.on("error", reject);
+    });
+  }
+
+  /**
+   * Force-close the position of a symbol
+   */
+  async close(symbol) {
+    const target =
+      symbol || (this.bot.symbols.length === 1 && this.bot.symbols[0]);
+    if (!target || !this.bot.symbols.includes(target)) {
+      return { error: `Símbolo inválido: ${symbol ?? "(ninguno)"}` };
+    }
+
+    const closed = await this.bot.forceClosePosition(target);
+    return closed
+      ? { ok: true, symbol: target }
+      : { error: `No se pudo cerrar la posición de ${target}` };
+  }
+
+  /**
+   * Latest records of trades.json, newest last
+   * The limit is clamped to 1..maxTrades; unreadable lines (e.g. cut short
+   * by a crash mid-write) are skipped
+   */
+  readTrades(limit) {
+    if (!fs.existsSync("trades.json")) return { trades: [] };
+
+    const count = Math.min(Math.max(limit, 1), this.maxTrades);
+    const lines = fs.readFileSync("trades.json", "utf8").split("\n");
+    const trades = [];
+
+    for (let i = lines.length - 1; i >= 0 && trades.length < count; i--) {
+      if (!lines[i].trim()) continue;
+      try {
+        trades.push(JSON.parse(lines[i]));
+      } catch (error) {
+        continue;
+      }
+    }
+
+    return { trades: trades.reverse() };
+  }
+
+  /**
+   * Write a JSON response
+   */
+  send(res, status, payload) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload, null, 2));
+  }
+}
+
+module.exports = ControlServer;
@@ -0,0 +1,133 @@
+const { parseArgs } = require("util");
+const BingXAPI = require("./bingx-api");
+const CandleCache = require("./candle-cache");
+const config = require("./config");
+
+/**
+ * Page backwards through the klines endpoint from endTime to startTime
+ * Returns de-duplicated candles, oldest first
+ */
+async function downloadKlines(api, symbol, interval, startTime, endTime) {
+  const step = CandleCache.intervalToMs(interval);
+  const pageLimit = config.data.pageLimit;
+  const candles = [];
+  let pageEnd = endTime;
+
+  while (pageEnd > startTime) {
+    const pageStart = step
+      ? Math.max(startTime, pageEnd - step * (pageLimit - 1))
+      : startTime;
+
+    const page = await api.getKlines(symbol, interval, pageLimit, {
+      startTime: pageStart,
+      endTime: pageEnd,
+    });
+
+    if (page.length === 0) {
+      console.log(
+        `⚠️ Página vacía en ${new Date(pageStart).toISOString()} - ${new Date(
+          pageEnd
+        ).toISOString()}`
+      );
+      if (!step) break;
+    } else {
+      candles.push(...page);
+      console.log(
+        `📥 ${page.length} velas: ${new Date(
+          page[0].time
+        ).toISOString()} → ${new Date(
+          page[page.length - 1].time
+        ).toISOString()}`
+      );
+    }
+
+    if (!step) {
+      pageEnd = page.length > 0 ? page[0].time - 1 : startTime;
+    } else {
+      pageEnd = pageStart - 1;
+    }
+
+    // Stay well below the public market data rate limit
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+
+  return CandleCache.dedupe(candles).filter(
+    (c) => c.time >= startTime && c.time <= endTime
+  );
+}
+
+/**
+ * Parse a date argument given as ISO string or milliseconds
+ */
+function parseTime(value) {
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      symbol: { type: "string", short: "s", default: config.symbol },
+      interval: { type: "string", short: "i", default: config.interval },
+      start: { type: "string" },
+      end: { type: "string" },
+      days: { type: "string", short: "d", default: "30" },
+    },
+  });
+
+  const endTime = values.end ? parseTime(values.end) : Date.now();
+  const startTime = values.start
+    ? parseTime(values.start)
+    : endTime - parseFloat(values.days) * 86400000;
+
+  if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+    console.error("❌ Fecha inválida en --start o --end");
+    process.exit(1);
+  }
+
+  console.log(
+    `📊 Descargando ${values.symbol} ${values.interval} desde ${new Date(
+      startTime
+    ).toISOString()} hasta ${new Date(endTime).toISOString()}`
+  );
+
+  const api = new BingXAPI();
+  const cache = new CandleCache();
+  const candles = await downloadKlines(
+    api,
+    values.symbol,
+    values.interval,
+    startTime,
+    endTime
+  );
+
+  const cached = cache.write(values.symbol, values.interval, candles);
+  const gaps = CandleCache.findGaps(cached, values.interval);
+
+  console.log(
+    `💾 ${candles.length} velas descargadas, ${
+      cached.length
+    } en caché (${cache.filePath(values.symbol, values.interval)})`
+  );
+
+  if (gaps.length > 0) {
+    console.log(`⚠️ ${gaps.length} huecos detectados en la caché:`);
+    gaps.forEach((gap) =>
+      console.log(
+        `   ${new Date(gap.from).toISOString()} → ${new Date(
+          gap.to
+        ).toISOString()} (${gap.missing} velas)`
+      )
+    );
+  } else {
+    console.log("✓ Sin huecos en la caché");
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error fatal:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { downloadKlines };
@@ -0,0 +1,298 @@
+const Indicators = require("./indicators");
+
+/**
+ * Incremental indicators
+ * Stateful versions of the core indicators that take one value per closed
+ * candle in O(1) and give exactly the same numbers as the batch
+ * calculations in indicators.js (same seeding, same operation order).
+ *
+ *   update(input)  - commit a closed candle and return the new value
+ *   preview(input) - value if the candle closed now, without committing it
+ *   value          - value at the last committed candle (null until ready)
+ */
+class IncrementalIndicator {
+  /**
+   * Value with `input` added, leaving the state untouched
+   */
+  preview(input) {
+    return this.clone().update(input);
+  }
+
+  /**
+   * Independent copy of the state
+   */
+  clone() {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+  }
+}
+
+/**
+ * EMA seeded with the SMA of the first `period` values. With
+ * alpha = 1 / period it is Wilder's moving average (used by ATR).
+ */
+class IncrementalEMA extends IncrementalIndicator {
+  constructor(period, alpha = 2 / (period + 1)) {
+    super();
+    this.period = period;
+    this.alpha = alpha;
+    this.count = 0;
+    this.sum = 0;
+    this.value = null;
+  }
+
+  update(value) {
+    if (this.value !== null) {
+      this.value = (value - this.value) * this.alpha + this.value;
+      return this.value;
+    }
+
+    this.count++;
+    this.sum += value;
+    if (this.count === this.period) this.value = this.sum / this.period;
+    return this.value;
+  }
+}
+
+/**
+ * RSI with Wilder's smoothing of the average gain and loss
+ */
+class IncrementalRSI extends IncrementalIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+    this.lastClose = null;
+    this.counter = 1;
+    this.gainSum = 0;
+    this.lossSum = 0;
+    this.avgGain = null;
+    this.avgLoss = null;
+    this.value = null;
+  }
+
+  update(close) {
+    if (this.lastClose === null) {
+      this.lastClose = close;
+      return this.value;
+    }
+
+    const gain = Math.max(close - this.lastClose, 0);
+    const loss = Math.max(this.lastClose - close, 0);
+    this.lastClose = close;
+    this.gainSum += gain;
+    this.lossSum += loss;
+
+    if (this.counter < this.period) {
+      this.counter++;
+      return this.value;
+    }
+
+    if (this.avgGain === null) {
+      this.avgGain = this.gainSum / this.period;
+      this.avgLoss = this.lossSum / this.period;
+    } else {
+      this.avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+      this.avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+    }
+
+    if (this.avgLoss === 0) {
+      this.value = 100;
+    } else if (this.avgGain === 0) {
+      this.value = 0;
+    } else {
+      const rs = this.avgGain / this.avgLoss;
+      this.value = parseFloat((100 - 100 / (1 + rs)).toFixed(2));
+    }
+    return this.value;
+  }
+}
+
+/**
+ * ATR: Wilder's average of the true range (from the second candle on)
+ */
+class IncrementalATR extends IncrementalIndicator {
+  constructor(period = 14) {
+    super();
+    this.previousClose = null;
+    this.average = new IncrementalEMA(period, 1 / period);
+    this.value = null;
+  }
+
+  update(candle) {
+    if (this.previousClose !== null) {
+      const trueRange = Math.max(
+        candle.high - candle.low,
+        Math.abs(candle.high - this.previousClose),
+        Math.abs(candle.low - this.previousClose)
+      );
+      this.value = this.average.update(trueRange);
+    }
+
+    this.previousClose = candle.close;
+    return this.value;
+  }
+
+  clone() {
+    const copy = super.clone();
+    copy.average = this.average.clone();
+    return copy;
+  }
+}
+
+/**
+ * MACD with EMA oscillator and signal. The value has the shape of
+ * Indicators.calculateMACD(): { macd, signal, histogram, bullishCross,
+ * bearishCross }, null until slow + signal candles.
+ */
+class IncrementalMACD extends IncrementalIndicator {
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    super();
+    this.slowPeriod = slowPeriod;
+    this.signalPeriod = signalPeriod;
+    this.fast = new IncrementalEMA(fastPeriod);
+    this.slow = new IncrementalEMA(slowPeriod);
+    this.signal = new IncrementalEMA(signalPeriod);
+    this.count = 0;
+    this.previous = null; // { macd, signal } at the previous candle
+    this.value = null;
+  }
+
+  update(close) {
+    const fast = this.fast.update(close);
+    const slow = this.slow.update(close);
+    this.count++;
+    if (this.count < this.slowPeriod) return this.value;
+
+    const macd = fast - slow;
+    const signal = this.signal.update(macd);
+    const previous = this.previous;
+    this.previous = { macd, signal };
+
+    if (this.count < this.slowPeriod + this.signalPeriod) return this.value;
+
+    this.value = {
+      macd,
+      signal,
+      histogram: macd - signal,
+      bullishCross: previous.macd <= previous.signal && macd > signal,
+      bearishCross: previous.macd >= previous.signal && macd < signal,
+    };
+    return this.value;
+  }
+
+  clone() {
+    const copy = super.clone();
+    copy.fast = this.fast.clone();
+    copy.slow = this.slow.clone();
+    copy.signal = this.signal.clone();
+    return copy;
+  }
+}
+
+/**
+ * Indicator Engine
+ * Keeps the core indicators of Indicators.computeAll() up to date one
+ * candle at a time instead of recomputing the whole window on every check.
+ * The values follow the whole history fed to the engine, so they match
+ * computeAll() over that same history. Indicators that only look at the
+ * last few candles (volume, swings, breakouts) are computed on a short
+ * buffer of recent candles.
+ */
+class IndicatorEngine {
+  constructor(config) {
+    this.config = config;
+    this.reset();
+  }
+
+  /**
+   * Forget all history
+   */
+  reset() {
+    const settings = this.config.indicators;
+
+    this.emaFast = new IncrementalEMA(settings.emaFast);
+    this.emaSlow = new IncrementalEMA(settings.emaSlow);
+    this.macd = new IncrementalMACD(
+      settings.macd.fast,
+      settings.macd.slow,
+      settings.macd.signal
+    );
+    this.rsi = new IncrementalRSI(settings.rsi.period);
+    this.atr = new IncrementalATR(settings.atr.period);
+
+    // Enough for the average volume before the current candle and the
+    // 10-candle swing / breakout lookback
+    this.recentSize = Math.max(settings.volume.period + 1, 11);
+    this.recent = [];
+    this.lastTime = null; // Time of the last committed candle
+  }
+
+  /**
+   * Commit a closed candle and return the indicators at it
+   */
+  update(candle) {
+    const close = candle.close;
+    this.recent = [...this.recent, candle].slice(-this.recentSize);
+    this.lastTime = candle.time;
+
+    return {
+      emaFast: this.emaFast.update(close),
+      emaSlow: this.emaSlow.update(close),
+      macd: this.macd.update(close),
+      rsi: this.rsi.update(close),
+      atr: this.atr.update(candle),
+      ...Indicators.computeRecent(this.recent, this.config),
+    };
+  }
+
+  /**
+   * Indicators if `candle` (usually the still-forming one) closed now,
+   * without committing it
+   */
+  preview(candle) {
+    const close = candle.close;
+    const recent = [...this.recent, candle].slice(-this.recentSize);
+
+    return {
+      emaFast: this.emaFast.preview(close),
+      emaSlow: this.emaSlow.preview(close),
+      macd: this.macd.preview(close),
+      rsi: this.rsi.preview(close),
+      atr: this.atr.preview(candle),
+      ...Indicators.computeRecent(recent, this.config),
+    };
+  }
+
+  /**
+   * Indicators for a candle window whose last candle may still be forming:
+   * commits the new candles before it and previews the last one. When the
+   * window does not continue the committed history (a gap or going back in
+   * time) the engine starts over from the window.
+   */
+  sync(candles) {
+    const last = candles[candles.length - 1];
+
+    let start = 0;
+    if (this.lastTime !== null) {
+      const index = candles.findLastIndex((c) => c.time === this.lastTime);
+      if (index === -1 || last.time <= this.lastTime) {
+        this.reset();
+      } else {
+        start = index + 1;
+      }
+    }
+
+    for (let i = start; i < candles.length - 1; i++) {
+      this.update(candles[i]);
+    }
+
+    return this.preview(last);
+  }
+}
+
+module.exports = {
+  IndicatorEngine,
+  IncrementalEMA,
+  IncrementalRSI,
+  IncrementalATR,
+  IncrementalMACD,
+};
@@ -1,8 +1,65 @@
-const { EMA, MACD, RSI, ATR } = require("technicalindicators");
+const {
+  EMA,
+  MACD,
+  RSI,
+  ATR,
+  BollingerBands,
+  ADX,
+  StochasticRSI,
+  IchimokuCloud,
+  OBV,
+  KeltnerChannels,
+  SMA,
+} = require("technicalindicators");
+
+// Indicators computed only for strategies that request them (getIndicators),
+// by name → (candles, settings from config.indicators[name])
+const OPTIONAL_INDICATORS = {
+  bollinger: (candles, s) =>
+    Indicators.calculateBollingerBands(candles, s.period, s.stdDev),
+  vwap: (candles, s) =>
+    Indicators.calculateVWAP(candles, s.bandMultipliers, s.sessionHourUTC),
+  adx: (candles, s) =>
+    Indicators.calculateADX(candles, s.period, s.trendThreshold),
+  supertrend: (candles, s) =>
+    Indicators.calculateSupertrend(candles, s.period, s.multiplier),
+  stochRsi: (candles, s) => Indicators.calculateStochasticRSI(candles, s),
+  ichimoku: (candles, s) => Indicators.calculateIchimoku(candles, s),
+  obv: (candles, s) => Indicators.calculateOBV(candles, s.signalPeriod),
+  keltner: (candles, s) =>
+    Indicators.calculateKeltnerChannels(
+      candles,
+      s.emaPeriod,
+      s.atrPeriod,
+      s.multiplier
+    ),
+};
+
+// Series of the optional indicators, by name → (candles, settings)
+const OPTIONAL_SERIES = {
+  bollinger: (candles, s) =>
+    Indicators.bollingerSeries(candles, s.period, s.stdDev),
+  vwap: (candles, s) => Indicators.vwapSeries(candles, s.sessionHourUTC),
+  adx: (candles, s) => Indicators.adxSeries(candles, s.period),
+  supertrend: (candles, s) =>
+    Indicators.supertrendSeries(candles, s.period, s.multiplier),
+  stochRsi: (candles, s) => Indicators.stochRsiSeries(candles, s),
+  ichimoku: (candles, s) => Indicators.ichimokuSeries(candles, s),
+  obv: (candles, s) => Indicators.obvSeries(candles, s.signalPeriod),
+  keltner: (candles, s) =>
+    Indicators.keltnerSeries(candles, s.emaPeriod, s.atrPeriod, s.multiplier),
+};
 
 /**
  * Technical Indicators Calculator
- * Computes EMA, MACD, RSI, ATR and volume analysis
+ * Computes EMA, MACD, RSI, ATR and volume analysis, plus optional
+ * indicators (Bollinger Bands, VWAP, ADX, Supertrend, Stochastic RSI,
+ * Ichimoku, OBV, Keltner Channels) on request.
+ *
+ * The calculate* methods return the value at the last candle. The *Series
+ * methods return arrays aligned with the candles (series[i] belongs to
+ * candles[i], null while there is not enough data); computeAll() exposes
+ * them lazily as `indicators.series`.
  */
 class Indicators {
   /**
@@ -174,13 +231,603 @@ class Indicators {
     );
   }
 
+  /**
+   * Calculate Bollinger Bands
+   */
+  static calculateBollingerBands(candles, period = 20, stdDev = 2) {
+    if (candles.length < period) return null;
+
+    const bands = BollingerBands.calculate({
+      values: candles.map((c) => c.close),
+      period,
+      stdDev,
+    });
+    if (bands.length === 0) return null;
+
+    const { upper, middle, lower, pb } = bands[bands.length - 1];
+    return {
+      upper,
+      middle,
+      lower,
+      percentB: pb, // 0 = lower band, 1 = upper band
+      bandwidth: (upper - lower) / middle,
+    };
+  }
+
+  /**
+   * Calculate the session VWAP with standard deviation bands
+   * The session starts every day at sessionHourUTC; only the candles of the
+   * current session that are in the window count
+   */
+  static calculateVWAP(candles, bandMultipliers = [1, 2], sessionHourUTC = 0) {
+    if (candles.length === 0) return null;
+
+    const day = 86400000;
+    const offset = sessionHourUTC * 3600000;
+    const last = candles[candles.length - 1];
+    const sessionStart = Math.floor((last.time - offset) / day) * day + offset;
+    const session = candles.filter((c) => c.time >= sessionStart);
+
+    let volume = 0;
+    let priceVolume = 0;
+    for (const c of session) {
+      const typical = (c.high + c.low + c.close) / 3;
+      volume += c.volume;
+      priceVolume += typical * c.volume;
+    }
+    if (volume === 0) return null;
+
+    const vwap = priceVolume / volume;
+    const variance =
+      session.reduce(
+        (sum, c) =>
+          sum + c.volume * ((c.high + c.low + c.close) / 3 - vwap) ** 2,
+        0
+      ) / volume;
+    const deviation = Math.sqrt(variance);
+
+    return {
+      vwap,
+      upper: bandMultipliers.map((m) => vwap + deviation * m),
+      lower: bandMultipliers.map((m) => vwap - deviation * m),
+      candles: session.length,
+    };
+  }
+
+  /**
+   * Calculate ADX / DMI (trend strength and direction)
+   */
+  static calculateADX(candles, period = 14, trendThreshold = 25) {
+    if (candles.length < period * 2) return null;
+
+    const result = ADX.calculate({
+      high: candles.map((c) => c.high),
+      low: candles.map((c) => c.low),
+      close: candles.map((c) => c.close),
+      period,
+    });
+    if (result.length === 0) return null;
+
+    const { adx, pdi, mdi } = result[result.length - 1];
+    return {
+      adx,
+      plusDI: pdi,
+      minusDI: mdi,
+      trending: adx >= trendThreshold,
+    };
+  }
+
+  /**
+   * Calculate Supertrend
+   * Direction "UP" keeps the line below price (support), "DOWN" above it
+   */
+  static calculateSupertrend(candles, period = 10, multiplier = 3) {
+    if (candles.length < period + 2) return null;
+
+    const { value, direction } = this.supertrendSeries(
+      candles,
+      period,
+      multiplier
+    );
+    const last = candles.length - 1;
+
+    return {
+      value: value[last],
+      direction: direction[last],
+      flipped: direction[last] !== direction[last - 1],
+    };
+  }
+
+  /**
+   * Calculate Stochastic RSI (%K and %D, 0-100)
+   */
+  static calculateStochasticRSI(
+    candles,
+    {
+      rsiPeriod = 14,
+      stochasticPeriod = 14,
+      kPeriod = 3,
+      dPeriod = 3,
+      overbought = 80,
+      oversold = 20,
+    } = {}
+  ) {
+    if (candles.length < rsiPeriod + stochasticPeriod + kPeriod + dPeriod) {
+      return null;
+    }
+
+    const result = StochasticRSI.calculate({
+      values: candles.map((c) => c.close),
+      rsiPeriod,
+      stochasticPeriod,
+      kPeriod,
+      dPeriod,
+    });
+    if (result.length < 2) return null;
+
+    const current = result[result.length - 1];
+    const previous = result[result.length - 2];
+
+    return {
+      k: current.k,
+      d: current.d,
+      overbought: current.k >= overbought,
+      oversold: current.k <= oversold,
+      bullishCross: previous.k <= previous.d && current.k > current.d,
+      bearishCross: previous.k >= previous.d && current.k < current.d,
+    };
+  }
+
+  /**
+   * Calculate Ichimoku Cloud
+   * spanA / spanB are the cloud under the current candle, i.e. the spans
+   * computed `displacement` candles ago
+   */
+  static calculateIchimoku(
+    candles,
+    {
+      conversionPeriod = 9,
+      basePeriod = 26,
+      spanPeriod = 52,
+      displacement = 26,
+    } = {}
+  ) {
+    if (candles.length < spanPeriod + displacement) return null;
+
+    const result = IchimokuCloud.calculate({
+      high: candles.map((c) => c.high),
+      low: candles.map((c) => c.low),
+      conversionPeriod,
+      basePeriod,
+      spanPeriod,
+      displacement,
+    });
+    if (result.length <= displacement) return null;
+
+    const current = result[result.length - 1];
+    const previous = result[result.length - 2];
+    const cloud = result[result.length - 1 - displacement];
+    const price = candles[candles.length - 1].close;
+    const cloudTop = Math.max(cloud.spanA, cloud.spanB);
+    const cloudBottom = Math.min(cloud.spanA, cloud.spanB);
+
+    return {
+      conversion: current.conversion,
+      base: current.base,
+      spanA: cloud.spanA,
+      spanB: cloud.spanB,
+      aboveCloud: price > cloudTop,
+      belowCloud: price < cloudBottom,
+      bullishCross:
+        previous.conversion <= previous.base &&
+        current.conversion > current.base,
+      bearishCross:
+        previous.conversion >= previous.base &&
+        current.conversion < current.base,
+    };
+  }
+
+  /**
+   * Calculate On-Balance Volume with an EMA signal line
+   */
+  static calculateOBV(candles, signalPeriod = 20) {
+    if (candles.length < signalPeriod + 1) return null;
+
+    const obv = OBV.calculate({
+      close: candles.map((c) => c.close),
+      volume: candles.map((c) => c.volume),
+    });
+    const signal = this.calculateEMA(obv, signalPeriod);
+    if (signal === null) return null;
+
+    const current = obv[obv.length - 1];
+    return { obv: current, signal, rising: current > signal };
+  }
+
+  /**
+   * Calculate Keltner Channels (EMA ± multiplier × ATR)
+   */
+  static calculateKeltnerChannels(
+    candles,
+    emaPeriod = 20,
+    atrPeriod = 10,
+    multiplier = 2
+  ) {
+    if (candles.length < Math.max(emaPeriod, atrPeriod) + 1) return null;
+
+    const result = KeltnerChannels.calculate({
+      high: candles.map((c) => c.high),
+      low: candles.map((c) => c.low),
+      close: candles.map((c) => c.close),
+      maPeriod: emaPeriod,
+      atrPeriod,
+      multiplier,
+      useSMA: false,
+    });
+    if (result.length === 0) return null;
+
+    const { upper, middle, lower } = result[result.length - 1];
+    return { upper, middle, lower };
+  }
+
+  // ==================== SERIES ====================
+
+  /**
+   * Pad the output of a technicalindicators function (which starts once
+   * there is enough data and ends at the last input) with leading nulls so
+   * it lines up with the input
+   */
+  static align(values, length) {
+    const padding = Math.max(0, length - values.length);
+    return [
+      ...new Array(padding).fill(null),
+      ...values.slice(values.length - (length - padding)),
+    ];
+  }
+
+  /**
+   * Split an aligned array of objects into one aligned array per field
+   */
+  static alignFields(values, length, fields) {
+    const aligned = this.align(values, length);
+    const result = {};
+    for (const [name, key] of Object.entries(fields)) {
+      result[name] = aligned.map((value) => value?.[key] ?? null);
+    }
+    return result;
+  }
+
+  /**
+   * EMA series
+   */
+  static emaSeries(values, period) {
+    return this.align(EMA.calculate({ period, values }), values.length);
+  }
+
+  /**
+   * SMA series
+   */
+  static smaSeries(values, period) {
+    return this.align(SMA.calculate({ period, values }), values.length);
+  }
+
+  /**
+   * MACD series: { macd, signal, histogram }
+   */
+  static macdSeries(
+    values,
+    fastPeriod = 12,
+    slowPeriod = 26,
+    signalPeriod = 9
+  ) {
+    const result = MACD.calculate({
+      values,
+      fastPeriod,
+      slowPeriod,
+      signalPeriod,
+      SimpleMAOscillator: false,
+      SimpleMASignal: false,
+    });
+    return this.alignFields(result, values.length, {
+      macd: "MACD",
+      signal: "signal",
+      histogram: "histogram",
+    });
+  }
+
+  /**
+   * RSI series
+   */
+  static rsiSeries(values, period = 14) {
+    return this.align(RSI.calculate({ values, period }), values.length);
+  }
+
+  /**
+   * ATR series
+   */
+  static atrSeries(candles, period = 14) {
+    const result = ATR.calculate({
+      high: candles.map((c) => c.high),
+      low: candles.map((c) => c.low),
+      close: candles.map((c) => c.close),
+      period,
+    });
+    return this.align(result, candles.length);
+  }
+
+  /**
+   * Bollinger Bands series: { upper, middle, lower, percentB }
+   */
+  static bollingerSeries(candles, period = 20, stdDev = 2) {
+    const result = BollingerBands.calculate({
+      values: candles.map((c) => c.close),
+      period,
+      stdDev,
+    });
+    return this.alignFields(result, candles.length, {
+      upper: "upper",
+      middle: "middle",
+      lower: "lower",
+      percentB: "pb",
+    });
+  }
+
+  /**
+   * Session VWAP series: { vwap, deviation }, resetting every day at
+   * sessionHourUTC (bands are vwap ± deviation × multiplier)
+   */
+  static vwapSeries(candles, sessionHourUTC = 0) {
+    const day = 86400000;
+    const offset = sessionHourUTC * 3600000;
+    const vwap = [];
+    const deviation = [];
+    let session = null;
+    let volume = 0;
+    let priceVolume = 0;
+    let squareVolume = 0;
+
+    for (const c of candles) {
+      const start = Math.floor((c.time - offset) / day) * day + offset;
+      if (start !== session) {
+        session = start;
+        volume = 0;
+        priceVolume = 0;
+        squareVolume = 0;
+      }
+
+      const typical = (c.high + c.low + c.close) / 3;
+      volume += c.volume;
+      priceVolume += typical * c.volume;
+      squareVolume += typical * typical * c.volume;
+
+      if (volume === 0) {
+        vwap.push(null);
+        deviation.push(null);
+        continue;
+      }
+      const mean = priceVolume / volume;
+      vwap.push(mean);
+      deviation.push(Math.sqrt(Math.max(0, squareVolume / volume - mean ** 2)));
+    }
+
+    return { vwap, deviation };
+  }
+
+  /**
+   * ADX / DMI series: { adx, plusDI, minusDI }
+   */
+  static adxSeries(candles, period = 14) {
+    const result = ADX.calculate({
+      high: candles.map((c) => c.high),
+      low: candles.map((c) => c.low),
+      close: candles.map((c) => c.close),
+      period,
+    });
+    return this.alignFields(result, candles.length, {
+      adx: "adx",
+      plusDI: "pdi",
+      minusDI: "mdi",
+    });
+  }
+
+  /**
+   * Supertrend series: { value, direction }
+   */
+  static supertrendSeries(candles, period = 10, multiplier = 3) {
+    const atr = this.atrSeries(candles, period);
+    const value = new Array(candles.length).fill(null);
+    const direction = new Array(candles.length).fill(null);
+
+    let upperBand = null;
+    let lowerBand = null;
+    let trend = "UP";
+
+    for (let i = 1; i < candles.length; i++) {
+      if (atr[i] === null) continue;
+
+      const { high, low, close } = candles[i];
+      const previousClose = candles[i - 1].close;
+      const middle = (high + low) / 2;
+      const basicUpper = middle + multiplier * atr[i];
+      const basicLower = middle - multiplier * atr[i];
+
+      // Bands only move towards price unless price closed through them
+      upperBand =
+        upperBand === null ||
+        basicUpper < upperBand ||
+        previousClose > upperBand
+          ? basicUpper
+          : upperBand;
+      lowerBand =
+        lowerBand === null ||
+        basicLower > lowerBand ||
+        previousClose < lowerBand
+          ? basicLower
+          : lowerBand;
+
+      if (trend === "UP" && close < lowerBand) trend = "DOWN";
+      else if (trend === "DOWN" && close > upperBand) trend = "UP";
+
+      value[i] = trend === "UP" ? lowerBand : upperBand;
+      direction[i] = trend;
+    }
+
+    return { value, direction };
+  }
+
+  /**
+   * Stochastic RSI series: { k, d }
+   */
+  static stochRsiSeries(
+    candles,
+    { rsiPeriod = 14, stochasticPeriod = 14, kPeriod = 3, dPeriod = 3 } = {}
+  ) {
+    const result = StochasticRSI.calculate({
+      values: candles.map((c) => c.close),
+      rsiPeriod,
+      stochasticPeriod,
+      kPeriod,
+      dPeriod,
+    });
+    return this.alignFields(result, candles.length, { k: "k", d: "d" });
+  }
+
+  /**
+   * Ichimoku series: { conversion, base, spanA, spanB }, with the spans
+   * shifted forward by `displacement` so spanA[i] / spanB[i] are the cloud
+   * under candles[i]
+   */
+  static ichimokuSeries(
+    candles,
+    {
+      conversionPeriod = 9,
+      basePeriod = 26,
+      spanPeriod = 52,
+      displacement = 26,
+    } = {}
+  ) {
+    const result = IchimokuCloud.calculate({
+      high: candles.map((c) => c.high),
+      low: candles.map((c) => c.low),
+      conversionPeriod,
+      basePeriod,
+      spanPeriod,
+      displacement,
+    });
+    const series = this.alignFields(result, candles.length, {
+      conversion: "conversion",
+      base: "base",
+      spanA: "spanA",
+      spanB: "spanB",
+    });
+    const shift = (values) =>
+      [
+        ...new Array(displacement).fill(null),
+        ...values.slice(0, Math.max(0, values.length - displacement)),
+      ].slice(0, values.length);
+
+    return {
+      ...series,
+      spanA: shift(series.spanA),
+      spanB: shift(series.spanB),
+    };
+  }
+
+  /**
+   * OBV series: { obv, signal } (signal = EMA of the OBV)
+   */
+  static obvSeries(candles, signalPeriod = 20) {
+    const result = OBV.calculate({
+      close: candles.map((c) => c.close),
+      volume: candles.map((c) => c.volume),
+    });
+    const signal =
+      result.length >= signalPeriod
+        ? EMA.calculate({ period: signalPeriod, values: result })
+        : [];
+
+    return {
+      obv: this.align(result, candles.length),
+      signal: this.align(signal, candles.length),
+    };
+  }
+
+  /**
+   * Keltner Channels series: { upper, middle, lower }
+   */
+  static keltnerSeries(
+    candles,
+    emaPeriod = 20,
+    atrPeriod = 10,
+    multiplier = 2
+  ) {
+    const result = KeltnerChannels.calculate({
+      high: candles.map((c) => c.high),
+      low: candles.map((c) => c.low),
+      close: candles.map((c) => c.close),
+      maPeriod: emaPeriod,
+      atrPeriod,
+      multiplier,
+      useSMA: false,
+    });
+    return this.alignFields(result, candles.length, {
+      upper: "upper",
+      middle: "middle",
+      lower: "lower",
+    });
+  }
+
+  /**
+   * Series of the core indicators (and of the requested optional ones), all
+   * aligned with the candles
+   */
+  static computeSeries(candles, config, optional = []) {
+    const closes = candles.map((c) => c.close);
+    const volumes = candles.map((c) => c.volume);
+
+    const series = {
+      close: closes,
+      volume: volumes,
+      emaFast: this.emaSeries(closes, config.indicators.emaFast),
+      emaSlow: this.emaSeries(closes, config.indicators.emaSlow),
+      macd: this.macdSeries(
+        closes,
+        config.indicators.macd.fast,
+        config.indicators.macd.slow,
+        config.indicators.macd.signal
+      ),
+      rsi: this.rsiSeries(closes, config.indicators.rsi.period),
+      atr: this.atrSeries(candles, config.indicators.atr.period),
+      avgVolume: this.smaSeries(volumes, config.indicators.volume.period),
+    };
+
+    for (const name of optional) {
+      const calculate = OPTIONAL_SERIES[name];
+      if (!calculate) throw new Error(`Indicador desconocido: ${name}`);
+      series[name] = calculate(candles, config.indicators[name] || {});
+    }
+
+    return series;
+  }
+
+  /**
+   * Names of the indicators computed only on request
+   */
+  static listOptional() {
+    return Object.keys(OPTIONAL_INDICATORS);
+  }
+
   /**
    * Compute all indicators for given candle data
+   *
+   * @param {Array} optional - Names of optional indicators to add (see
+   *                           listOptional()), configured under
+   *                           config.indicators[name]
    */
-  static computeAll(candles, config) {
+  static computeAll(candles, config, optional = []) {
     const closes = candles.map((c) => c.close);
 
-    return {
+    const indicators = {
       emaFast: this.calculateEMA(closes, config.indicators.emaFast),
       emaSlow: this.calculateEMA(closes, config.indicators.emaSlow),
       macd: this.calculateMACD(
@@ -191,6 +838,19 @@ class Indicators {
       ),
       rsi: this.calculateRSI(closes, config.indicators.rsi.period),
       atr: this.calculateATR(candles, config.indicators.atr.period),
+      ...this.computeRecent(candles, config),
+      ...this.computeOptional(candles, config, optional),
+    };
+
+    return this.attachSeries(indicators, candles, config, optional);
+  }
+
+  /**
+   * Indicators that only look at the last few candles (volume, swings,
+   * breakouts, current price)
+   */
+  static computeRecent(candles, config) {
+    return {
       avgVolume: this.calculateAverageVolume(
         candles,
         config.indicators.volume.period
@@ -207,6 +867,32 @@ class Indicators {
       currentPrice: candles[candles.length - 1].close,
     };
   }
+
+  /**
+   * Requested optional indicators, by name
+   */
+  static computeOptional(candles, config, optional = []) {
+    const result = {};
+    for (const name of optional) {
+      const calculate = OPTIONAL_INDICATORS[name];
+      if (!calculate) throw new Error(`Indicador desconocido: ${name}`);
+      result[name] = calculate(candles, config.indicators[name] || {});
+    }
+    return result;
+  }
+
+  /**
+   * Add the full series as `indicators.series`, computed on first access
+   * (and not serialized with the rest)
+   */
+  static attachSeries(indicators, candles, config, optional = []) {
+    let series = null;
+    Object.defineProperty(indicators, "series", {
+      get: () => (series ??= this.computeSeries(candles, config, optional)),
+      enumerable: false,
+    });
+    return indicators;
+  }
 }
 
 module.exports = Indicators;
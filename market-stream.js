@@ -0,0 +1,295 @@
+const EventEmitter = require("events");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const WebSocket = require("ws");
+const config = require("./config");
+
+/**
+ * Market Data Stream
+ * Subscribes to BingX swap kline and mark price WebSocket streams and keeps
+ * a rolling candle buffer per symbol/interval.
+ *
+ * Events:
+ * - "candleClose" (symbol, interval, candle) when a candle has closed
+ * - "markPrice" (symbol, price)
+ * - "connected" / "disconnected"
+ */
+class MarketDataStream extends EventEmitter {
+  constructor(api, options = {}) {
+    super();
+    const settings = { ...config.stream, ...options };
+
+    this.api = api;
+    this.url = config.bot.testMode ? settings.testUrl : settings.url;
+    this.bufferSize = settings.bufferSize;
+    this.staleTimeout = settings.staleTimeout;
+    this.maxReconnectDelay = settings.maxReconnectDelay;
+
+    this.subscriptions = [];
+    this.buffers = {};
+    this.markPrices = {};
+    this.ws = null;
+    this.connected = false;
+    this.stopped = true;
+    this.reconnectAttempts = 0;
+    this.lastMessageAt = 0;
+    this.watchdog = null;
+  }
+
+  /**
+   * Buffer key for a symbol/interval pair
+   */
+  key(symbol, interval) {
+    return `${symbol}@${interval}`;
+  }
+
+  /**
+   * Register a kline + mark price subscription (call before start())
+   */
+  subscribe(symbol, interval) {
+    if (
+      !this.subscriptions.some(
+        (s) => s.symbol === symbol && s.interval === interval
+      )
+    ) {
+      this.subscriptions.push({ symbol, interval });
+      this.buffers[this.key(symbol, interval)] = [];
+    }
+  }
+
+  /**
+   * Open the connection
+   */
+  start() {
+    this.stopped = false;
+    this.connect();
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  stop() {
+    this.stopped = true;
+    clearInterval(this.watchdog);
+    this.watchdog = null;
+    if (this.ws) {
+      this.ws.terminate();
+      this.ws = null;
+    }
+    this.connected = false;
+  }
+
+  /**
+   * Whether the stream is connected and receiving data
+   */
+  isHealthy() {
+    return (
+      this.connected && Date.now() - this.lastMessageAt < this.staleTimeout
+    );
+  }
+
+  /**
+   * Candles from the buffer (oldest first), or null if unavailable. Like
+   * the REST klines, the last one is the candle still forming.
+   */
+  getCandles(symbol, interval, limit = config.candleLimit) {
+    const buffer = this.buffers[this.key(symbol, interval)];
+    if (!buffer || buffer.length === 0) return null;
+
+    return buffer.slice(-limit).map((candle) => ({ ...candle }));
+  }
+
+  /**
+   * Latest mark price for a symbol
+   */
+  getMarkPrice(symbol) {
+    return this.markPrices[symbol] ?? null;
+  }
+
+  /**
+   * Open the WebSocket and (re)subscribe to every registered stream
+   */
+  connect() {
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on("open", async () => {
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      this.lastMessageAt = Date.now();
+      console.log("🔌 WebSocket de mercado conectado");
+
+      for (const { symbol, interval } of this.subscriptions) {
+        this.send({ reqType: "sub", dataType: `${symbol}@kline_${interval}` });
+        this.send({ reqType: "sub", dataType: `${symbol}@markPrice` });
+      }
+
+      this.startWatchdog();
+      await this.seedBuffers();
+      this.emit("connected");
+    });
+
+    ws.on("message", (raw) => this.handleMessage(raw));
+
+    ws.on("error", (error) => {
+      console.error(`Error de WebSocket: ${error.message}`);
+    });
+
+    ws.on("close", () => {
+      if (this.ws !== ws) return;
+
+      this.connected = false;
+      this.ws = null;
+      clearInterval(this.watchdog);
+      this.emit("disconnected");
+
+      if (!this.stopped) this.scheduleReconnect();
+    });
+  }
+
+  /**
+   * Reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    const delay = Math.min(
+      1000 * 2 ** this.reconnectAttempts,
+      this.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+
+    console.log(
+      `🔌 WebSocket desconectado - reconectando en ${(delay / 1000).toFixed(
+        0
+      )}s`
+    );
+    setTimeout(() => {
+      if (!this.stopped) this.connect();
+    }, delay);
+  }
+
+  /**
+   * Drop the connection if the server stops sending data (missed heartbeats)
+   */
+  startWatchdog() {
+    clearInterval(this.watchdog);
+    this.watchdog = setInterval(() => {
+      if (this.ws && Date.now() - this.lastMessageAt > this.staleTimeout) {
+        console.log("⚠️ WebSocket sin datos - forzando reconexión");
+        this.ws.terminate();
+      }
+    }, this.staleTimeout / 2);
+  }
+
+  /**
+   * Fill buffers over REST so candles missed while disconnected are included
+   */
+  async seedBuffers() {
+    for (const { symbol, interval } of this.subscriptions) {
+      let candles;
+      try {
+        candles = await this.api.getKlines(symbol, interval, this.bufferSize);
+      } catch (error) {
+        console.error(
+          `⚠️ No se pudieron recuperar velas de ${symbol} ${interval}: ${error.message}`
+        );
+        continue;
+      }
+      if (candles.length === 0) continue;
+
+      const key = this.key(symbol, interval);
+      const newer = this.buffers[key].filter(
+        (c) => c.time > candles[candles.length - 1].time
+      );
+      this.buffers[key] = [...candles, ...newer].slice(-this.bufferSize);
+    }
+  }
+
+  /**
+   * Send a subscription request
+   */
+  send(payload) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ id: crypto.randomUUID(), ...payload }));
+    }
+  }
+
+  /**
+   * Decode a (gzip-compressed) message and dispatch it
+   */
+  handleMessage(raw) {
+    this.lastMessageAt = Date.now();
+
+    let text;
+    try {
+      text = zlib.gunzipSync(raw).toString();
+    } catch (error) {
+      text = raw.toString();
+    }
+
+    // Server heartbeat
+    if (text === "Ping") {
+      this.ws?.send("Pong");
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+
+    if (typeof message.dataType !== "string" || !message.data) return;
+
+    const [symbol, stream] = message.dataType.split("@");
+    if (!stream) return; // Subscription acks and other non-data frames
+
+    // A malformed frame is dropped instead of taking the process down
+    try {
+      if (stream === "markPrice") {
+        const price = parseFloat(message.data.p);
+        this.markPrices[symbol] = price;
+        this.emit("markPrice", symbol, price);
+      } else if (stream.startsWith("kline_")) {
+        const interval = stream.slice("kline_".length);
+        const updates = Array.isArray(message.data)
+          ? message.data
+          : [message.data];
+        updates.forEach((k) => this.updateCandle(symbol, interval, k));
+      }
+    } catch (error) {
+      console.error(
+        `⚠️ Mensaje de WebSocket descartado (${message.dataType}): ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Apply a kline update; a new candle start time closes the previous one
+   */
+  updateCandle(symbol, interval, k) {
+    const buffer = this.buffers[this.key(symbol, interval)];
+    if (!buffer) return;
+
+    const candle = {
+      time: k.T,
+      open: parseFloat(k.o),
+      high: parseFloat(k.h),
+      low: parseFloat(k.l),
+      close: parseFloat(k.c),
+      volume: parseFloat(k.v),
+    };
+
+    const last = buffer[buffer.length - 1];
+
+    if (last && candle.time === last.time) {
+      buffer[buffer.length - 1] = candle;
+    } else if (!last || candle.time > last.time) {
+      buffer.push(candle);
+      if (buffer.length > this.bufferSize) buffer.shift();
+      if (last) this.emit("candleClose", symbol, interval, { ...last });
+    }
+  }
+}
+
+module.exports = MarketDataStream;
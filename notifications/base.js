@@ -0,0 +1,29 @@
+/**
+ * Base Notification Channel
+ * Delivers rendered notifications to one destination
+ *
+ * To create a new channel:
+ * 1. Extend this class in a new file in notifications/ (picked up by the
+ *    registry under its file name, e.g. "telegram")
+ * 2. Override send()
+ * 3. Optionally declare static requiredOptions, checked when the channel
+ *    is created from config.notifications.channels
+ */
+class BaseChannel {
+  static requiredOptions = [];
+
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Deliver a notification
+   *
+   * @param {Object} notification - { event, title, message, data }
+   */
+  async send(notification) {
+    throw new Error(`${this.constructor.name} debe implementar send()`);
+  }
+}
+
+module.exports = BaseChannel;
@@ -0,0 +1,13 @@
+const notifier = require("node-notifier");
+const BaseChannel = require("./base");
+
+/**
+ * Desktop popups through node-notifier (no-op on headless servers)
+ */
+class DesktopChannel extends BaseChannel {
+  async send({ title, message }) {
+    notifier.notify({ title, message, sound: true, wait: false });
+  }
+}
+
+module.exports = DesktopChannel;
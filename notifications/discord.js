@@ -0,0 +1,22 @@
+const axios = require("axios");
+const BaseChannel = require("./base");
+
+/**
+ * Discord incoming webhook
+ */
+class DiscordChannel extends BaseChannel {
+  static requiredOptions = ["url"];
+
+  async send({ title, message }) {
+    await axios.post(
+      this.options.url,
+      {
+        content: `**${title}**\n${message}`,
+        ...(this.options.username && { username: this.options.username }),
+      },
+      { timeout: 10000 }
+    );
+  }
+}
+
+module.exports = DiscordChannel;
@@ -0,0 +1,31 @@
+const nodemailer = require("nodemailer");
+const BaseChannel = require("./base");
+
+/**
+ * Email over SMTP
+ */
+class EmailChannel extends BaseChannel {
+  static requiredOptions = ["host", "from", "to"];
+
+  constructor(options = {}) {
+    super(options);
+
+    this.transport = nodemailer.createTransport({
+      host: options.host,
+      port: options.port || 587,
+      secure: options.secure ?? options.port === 465,
+      auth: options.user ? { user: options.user, pass: options.pass } : null,
+    });
+  }
+
+  async send({ title, message }) {
+    await this.transport.sendMail({
+      from: this.options.from,
+      to: this.options.to,
+      subject: title,
+      text: message,
+    });
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,58 @@
+const fs = require("fs");
+const path = require("path");
+const BaseChannel = require("./base");
+
+/**
+ * Notification Channel Registry
+ * Discovers every BaseChannel subclass in this directory and registers it
+ * under its file name (e.g. "telegram")
+ */
+const registry = {};
+
+for (const file of fs.readdirSync(__dirname)) {
+  if (!file.endsWith(".js") || file === "index.js" || file === "base.js") {
+    continue;
+  }
+
+  const ChannelClass = require(path.join(__dirname, file));
+  if (
+    typeof ChannelClass === "function" &&
+    ChannelClass.prototype instanceof BaseChannel
+  ) {
+    registry[path.basename(file, ".js")] = ChannelClass;
+  }
+}
+
+/**
+ * Names of all registered channel types
+ */
+function listChannels() {
+  return Object.keys(registry);
+}
+
+/**
+ * Create a channel, failing fast on unknown types or missing options
+ */
+function createChannel(type, options = {}) {
+  const ChannelClass = registry[String(type).toLowerCase()];
+  if (!ChannelClass) {
+    throw new Error(
+      `Canal de notificación desconocido "${type}". Disponibles: ${listChannels().join(
+        ", "
+      )}`
+    );
+  }
+
+  const missing = ChannelClass.requiredOptions.filter(
+    (key) => options[key] === undefined || options[key] === null
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Faltan opciones para el canal ${type}: ${missing.join(", ")}`
+    );
+  }
+
+  return new ChannelClass(options);
+}
+
+module.exports = { listChannels, createChannel };
@@ -0,0 +1,19 @@
+const axios = require("axios");
+const BaseChannel = require("./base");
+
+/**
+ * Slack incoming webhook (also accepted by Mattermost and Rocket.Chat)
+ */
+class SlackChannel extends BaseChannel {
+  static requiredOptions = ["url"];
+
+  async send({ title, message }) {
+    await axios.post(
+      this.options.url,
+      { text: `*${title}*\n${message}` },
+      { timeout: 10000 }
+    );
+  }
+}
+
+module.exports = SlackChannel;
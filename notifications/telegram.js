@@ -0,0 +1,25 @@
+const axios = require("axios");
+const BaseChannel = require("./base");
+
+/**
+ * Telegram Bot API sendMessage (apiUrl allows compatible gateways)
+ */
+class TelegramChannel extends BaseChannel {
+  static requiredOptions = ["botToken", "chatId"];
+
+  async send({ title, message }) {
+    const apiUrl = this.options.apiUrl || "https://api.telegram.org";
+
+    await axios.post(
+      `${apiUrl}/bot${this.options.botToken}/sendMessage`,
+      {
+        chat_id: this.options.chatId,
+        text: `${title}\n${message}`,
+        disable_web_page_preview: true,
+      },
+      { timeout: 10000 }
+    );
+  }
+}
+
+module.exports = TelegramChannel;
@@ -0,0 +1,19 @@
+const axios = require("axios");
+const BaseChannel = require("./base");
+
+/**
+ * Generic webhook: POSTs the event, rendered text and raw data as JSON
+ */
+class WebhookChannel extends BaseChannel {
+  static requiredOptions = ["url"];
+
+  async send({ event, title, message, data }) {
+    await axios.post(
+      this.options.url,
+      { event, title, message, data, timestamp: new Date().toISOString() },
+      { headers: this.options.headers || {}, timeout: 10000 }
+    );
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,114 @@
+const { createChannel } = require("./notifications");
+const config = require("./config");
+
+/**
+ * Notifier
+ * Renders bot events (entry, exit, stop loss, error, ...) from templates and
+ * routes them to the configured channels. Each channel has its own rate
+ * limit and drops repeats of the same message, so a crash loop cannot flood
+ * it. Delivery failures are logged and never reach the trading logic.
+ */
+class Notifier {
+  constructor(options = {}) {
+    const settings = { ...config.notifications, ...options };
+
+    this.templates = settings.templates;
+    this.rateLimit = settings.rateLimit;
+    this.channels = settings.channels
+      .filter((channel) => channel.enabled !== false)
+      .map((channel) => ({
+        type: channel.type,
+        events: channel.events || ["*"],
+        instance: createChannel(channel.type, channel),
+        sentAt: [], // Delivery times within the rate limit window
+        lastSent: {}, // Rendered text → time, for duplicate suppression
+        suppressed: 0,
+      }));
+  }
+
+  /**
+   * Render a template, replacing {name} with data.name
+   */
+  render(template, data) {
+    return String(template).replace(/\{(\w+)\}/g, (match, key) =>
+      data[key] === undefined || data[key] === null ? "" : String(data[key])
+    );
+  }
+
+  /**
+   * Notify an event to every channel routed to it
+   *
+   * @param {string} event - entry, exit, stopLoss, takeProfit, partialExit,
+   *                         error, riskGuard or dailySummary
+   * @param {Object} data - Values for the event template
+   */
+  async notify(event, data = {}) {
+    const template = this.templates[event] || {
+      title: event,
+      message: "{message}",
+    };
+    const notification = {
+      event,
+      title: this.render(template.title, data),
+      message: this.render(template.message, data),
+      data,
+    };
+
+    const routed = this.channels.filter(
+      (channel) =>
+        channel.events.includes("*") || channel.events.includes(event)
+    );
+
+    await Promise.all(
+      routed.map((channel) => this.deliver(channel, notification))
+    );
+  }
+
+  /**
+   * Send to one channel if its rate limit allows it
+   */
+  async deliver(channel, notification) {
+    const now = Date.now();
+    const { maxMessages, windowMs, duplicateWindowMs } = this.rateLimit;
+    const key = `${notification.title}\n${notification.message}`;
+
+    // The same text again (e.g. an error on every check) is dropped
+    if (now - (channel.lastSent[key] || 0) < duplicateWindowMs) {
+      channel.suppressed++;
+      return;
+    }
+
+    channel.sentAt = channel.sentAt.filter((time) => now - time < windowMs);
+    if (channel.sentAt.length >= maxMessages) {
+      channel.suppressed++;
+      return;
+    }
+
+    // Let the channel know how much it missed
+    if (channel.suppressed > 0) {
+      notification = {
+        ...notification,
+        message: `${notification.message}\n(${channel.suppressed} notifications suppressed)`,
+      };
+      channel.suppressed = 0;
+    }
+
+    channel.sentAt.push(now);
+    channel.lastSent[key] = now;
+    for (const [text, time] of Object.entries(channel.lastSent)) {
+      if (now - time >= duplicateWindowMs) delete channel.lastSent[text];
+    }
+
+    try {
+      await channel.instance.send(notification);
+    } catch (error) {
+      console.error(
+        `Error de notificación (${channel.type}): ${
+          error.response?.data?.description || error.message
+        }`
+      );
+    }
+  }
+}
+
+module.exports = Notifier;
@@ -0,0 +1,375 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { Backtester, loadCandles } = require("./backtest");
+const CandleCache = require("./candle-cache");
+const config = require("./config");
+
+// Numeric keys of the backtest summary that results can be ranked by
+const METRICS = [
+  "finalBalance",
+  "netPnl",
+  "returnPct",
+  "totalTrades",
+  "wins",
+  "losses",
+  "winRate",
+  "grossProfit",
+  "grossLoss",
+  "profitFactor",
+  "avgWin",
+  "avgLoss",
+  "expectancy",
+  "maxDrawdown",
+  "maxDrawdownPct",
+  "sharpe",
+];
+
+// Metrics where a lower value ranks better
+const LOWER_IS_BETTER = [
+  "losses",
+  "grossLoss",
+  "avgLoss",
+  "maxDrawdown",
+  "maxDrawdownPct",
+];
+
+/**
+ * Set a nested value from a dot path (e.g. "indicators.rsi.overbought")
+ */
+function setPath(target, dotPath, value) {
+  const keys = dotPath.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] ?? {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Every combination of the grid values
+ * { "a": [1, 2], "b": [3] } → [{ a: 1, b: 3 }, { a: 2, b: 3 }]
+ */
+function expandGrid(grid) {
+  return Object.entries(grid).reduce(
+    (combos, [key, values]) =>
+      combos.flatMap((combo) =>
+        values.map((value) => ({ ...combo, [key]: value }))
+      ),
+    [{}]
+  );
+}
+
+/**
+ * Copy of the base config with a parameter set applied
+ */
+function applyParams(baseConfig, params) {
+  const copy = JSON.parse(JSON.stringify(baseConfig));
+  for (const [dotPath, value] of Object.entries(params)) {
+    setPath(copy, dotPath, value);
+  }
+  return copy;
+}
+
+/**
+ * Parameter Optimizer
+ * Grid search over config parameters with optional walk-forward validation
+ */
+class Optimizer {
+  constructor(options = {}) {
+    const settings = { ...config.optimizer, ...options };
+
+    this.baseConfig = options.config || config;
+    this.grid = settings.grid;
+    this.metric = settings.metric;
+    this.minTrades = settings.minTrades;
+    this.backtestOptions = options.backtest || {};
+
+    if (!METRICS.includes(this.metric)) {
+      throw new Error(
+        `Métrica desconocida "${this.metric}". Disponibles: ${METRICS.join(
+          ", "
+        )}`
+      );
+    }
+  }
+
+  /**
+   * Backtest one parameter set
+   */
+  evaluate(params, candles, startTime) {
+    const runConfig = applyParams(this.baseConfig, params);
+
+    // Invalid combinations (e.g. fast EMA >= slow EMA) are skipped
+    if (runConfig.indicators.emaFast >= runConfig.indicators.emaSlow) {
+      return null;
+    }
+
+    const backtester = new Backtester({
+      ...this.backtestOptions,
+      config: runConfig,
+    });
+    const { summary } = backtester.run(candles, { startTime });
+    return { params, summary };
+  }
+
+  /**
+   * Sort results by the chosen metric, best first.
+   * Runs with fewer than minTrades trades rank last. Values are compared
+   * rather than subtracted: profit factor may be Infinity.
+   */
+  rank(results) {
+    const lowerIsBetter = LOWER_IS_BETTER.includes(this.metric);
+    const enough = (r) => r.summary.totalTrades >= this.minTrades;
+
+    return [...results].sort((a, b) => {
+      if (enough(a) !== enough(b)) return enough(a) ? -1 : 1;
+
+      const x = a.summary[this.metric];
+      const y = b.summary[this.metric];
+      if (x === y) return 0;
+      return x < y === lowerIsBetter ? -1 : 1;
+    });
+  }
+
+  /**
+   * Run every combination of the grid over the candles
+   */
+  gridSearch(candles, startTime) {
+    const combos = expandGrid(this.grid);
+    const results = [];
+
+    combos.forEach((params, index) => {
+      const result = this.evaluate(params, candles, startTime);
+      if (result) results.push(result);
+
+      if ((index + 1) % 10 === 0 || index === combos.length - 1) {
+        process.stdout.write(
+          `\r   Combinaciones evaluadas: ${index + 1}/${combos.length}`
+        );
+      }
+    });
+    process.stdout.write("\n");
+
+    return this.rank(results);
+  }
+
+  /**
+   * Rolling walk-forward: optimise on each in-sample window, then verify the
+   * winning set on the following out-of-sample window
+   */
+  walkForward(candles, folds, inSampleRatio) {
+    const outSize = Math.floor(
+      candles.length / (folds + inSampleRatio / (1 - inSampleRatio))
+    );
+    const inSize = candles.length - folds * outSize;
+    const warmup = this.baseConfig.candleLimit;
+    const results = [];
+
+    for (let fold = 0; fold < folds; fold++) {
+      const inStart = fold * outSize;
+      const outStart = inStart + inSize;
+      const outEnd = Math.min(outStart + outSize, candles.length);
+
+      const inSample = candles.slice(inStart, outStart);
+      const outSample = candles.slice(Math.max(0, outStart - warmup), outEnd);
+
+      console.log(
+        `\n🔁 Ventana ${fold + 1}/${folds}: IS ${this.formatRange(
+          inSample
+        )} | OOS ${this.formatRange(candles.slice(outStart, outEnd))}`
+      );
+
+      const [best] = this.gridSearch(inSample);
+      if (!best) continue;
+
+      const verified = this.evaluate(
+        best.params,
+        outSample,
+        candles[outStart].time
+      );
+
+      results.push({
+        fold: fold + 1,
+        params: best.params,
+        inSample: best.summary,
+        outOfSample: verified.summary,
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Date range covered by a candle slice
+   */
+  formatRange(candles) {
+    const day = (c) => new Date(c.time).toISOString().slice(0, 10);
+    return `${day(candles[0])} → ${day(candles[candles.length - 1])}`;
+  }
+}
+
+/**
+ * Nested config snippet for a parameter set, ready to paste into config.js
+ */
+function toConfigSnippet(params) {
+  const snippet = {};
+  for (const [dotPath, value] of Object.entries(params)) {
+    setPath(snippet, dotPath, value);
+  }
+  return snippet;
+}
+
+/**
+ * Format a metric for the console (profit factor may be Infinity)
+ */
+function formatMetric(value) {
+  return Number.isFinite(value) ? value.toFixed(2) : String(value);
+}
+
+/**
+ * Print the best grid search results
+ */
+function printRanking(results, metric, top) {
+  console.log(`\n🏆 Mejores ${Math.min(top, results.length)} por ${metric}:`);
+  results.slice(0, top).forEach((result, index) => {
+    const s = result.summary;
+    console.log(
+      `${index + 1}. ${metric}=${formatMetric(s[metric])} | PF=${formatMetric(
+        s.profitFactor
+      )} Sharpe=${formatMetric(s.sharpe)} DD=${formatMetric(
+        s.maxDrawdownPct
+      )}% P&L=$${formatMetric(s.netPnl)} Ops=${s.totalTrades}`
+    );
+    console.log(`   ${JSON.stringify(result.params)}`);
+  });
+}
+
+/**
+ * Print in-sample vs out-of-sample results for every window
+ */
+function printWalkForward(results) {
+  console.log("\n📋 Resultados Walk-Forward:");
+  for (const r of results) {
+    console.log(
+      `   Ventana ${r.fold}: IS P&L=$${formatMetric(
+        r.inSample.netPnl
+      )} PF=${formatMetric(r.inSample.profitFactor)} | OOS P&L=$${formatMetric(
+        r.outOfSample.netPnl
+      )} PF=${formatMetric(r.outOfSample.profitFactor)} Ops=${
+        r.outOfSample.totalTrades
+      }`
+    );
+    console.log(`   ${JSON.stringify(r.params)}`);
+  }
+
+  const oosPnl = results.reduce((sum, r) => sum + r.outOfSample.netPnl, 0);
+  const oosTrades = results.reduce(
+    (sum, r) => sum + r.outOfSample.totalTrades,
+    0
+  );
+  console.log(
+    `   Total fuera de muestra: P&L=$${formatMetric(
+      oosPnl
+    )} en ${oosTrades} operaciones`
+  );
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      file: { type: "string", short: "f" },
+      symbol: { type: "string", short: "s", default: config.symbol },
+      interval: { type: "string", short: "i", default: config.interval },
+      metric: { type: "string", short: "m", default: config.optimizer.metric },
+      "walk-forward": { type: "boolean", default: false },
+      folds: { type: "string", default: String(config.optimizer.folds) },
+      "in-sample": {
+        type: "string",
+        default: String(config.optimizer.inSampleRatio),
+      },
+      top: { type: "string", default: "10" },
+      balance: { type: "string" },
+      output: { type: "string", short: "o" },
+    },
+  });
+
+  const candles = values.file
+    ? loadCandles(path.resolve(values.file))
+    : new CandleCache().read(values.symbol, values.interval);
+
+  if (candles.length === 0) {
+    console.error("❌ Sin velas para optimizar");
+    console.error(
+      "Uso: node optimize.js [--file <velas.json> | --symbol BTC-USDT --interval 15m] [--metric profitFactor|sharpe|maxDrawdownPct|netPnl] [--walk-forward --folds 4 --in-sample 0.7] [--output resultados.json]"
+    );
+    process.exit(1);
+  }
+
+  const inSampleRatio = parseFloat(values["in-sample"]);
+  if (!(inSampleRatio > 0 && inSampleRatio < 1)) {
+    console.error(
+      `❌ --in-sample debe estar entre 0 y 1 (sin incluirlos): ${values["in-sample"]}`
+    );
+    process.exit(1);
+  }
+
+  let optimizer;
+  try {
+    optimizer = new Optimizer({
+      metric: values.metric,
+      backtest: values.balance
+        ? { initialBalance: parseFloat(values.balance) }
+        : {},
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const combos = expandGrid(optimizer.grid).length;
+  console.log(
+    `📈 ${candles.length} velas, ${combos} combinaciones, métrica: ${optimizer.metric}`
+  );
+
+  let output;
+
+  if (values["walk-forward"]) {
+    const results = optimizer.walkForward(
+      candles,
+      parseInt(values.folds, 10),
+      inSampleRatio
+    );
+    printWalkForward(results);
+
+    // The most recent window's winner is the one to trade next
+    const latest = results[results.length - 1];
+    output = {
+      metric: optimizer.metric,
+      walkForward: results,
+      recommended: latest ? toConfigSnippet(latest.params) : null,
+    };
+  } else {
+    const results = optimizer.gridSearch(candles);
+    printRanking(results, optimizer.metric, parseInt(values.top, 10));
+
+    output = {
+      metric: optimizer.metric,
+      results,
+      recommended: results[0] ? toConfigSnippet(results[0].params) : null,
+    };
+  }
+
+  if (output.recommended) {
+    console.log("\n📝 Parámetros recomendados para config.js:");
+    console.log(JSON.stringify(output.recommended, null, 2));
+  }
+
+  if (values.output) {
+    fs.writeFileSync(values.output, JSON.stringify(output, null, 2));
+    console.log(`💾 Resultados guardados en ${values.output}`);
+  }
+}
+
+module.exports = { Optimizer, expandGrid, applyParams, toConfigSnippet };
@@ -0,0 +1,57 @@
+/**
+ * Rate Limiter
+ * Sliding-window limiter: acquire() resolves once the request fits within
+ * `limit` weight per `windowMs`, waiting for older requests to expire.
+ */
+class RateLimiter {
+  constructor({ limit, windowMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.requests = []; // { time, weight } within the current window
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Weight used in the current window
+   */
+  used(now = Date.now()) {
+    this.requests = this.requests.filter((r) => now - r.time < this.windowMs);
+    return this.requests.reduce((sum, r) => sum + r.weight, 0);
+  }
+
+  /**
+   * Wait until a request of the given weight is allowed, then record it.
+   * Callers are served in order.
+   */
+  acquire(weight = 1) {
+    const turn = this.queue.then(() => this.waitForCapacity(weight));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Block until the window has room for the weight
+   */
+  async waitForCapacity(weight) {
+    const needed = Math.min(weight, this.limit);
+
+    while (this.used() + needed > this.limit) {
+      const wait = this.requests[0].time + this.windowMs - Date.now();
+      await new Promise((resolve) => setTimeout(resolve, Math.max(wait, 1)));
+    }
+
+    this.requests.push({ time: Date.now(), weight: needed });
+  }
+
+  /**
+   * Hold back every request for a while (e.g. after an HTTP 429)
+   */
+  pause(ms) {
+    const resume = this.queue.then(
+      () => new Promise((resolve) => setTimeout(resolve, ms))
+    );
+    this.queue = resume;
+  }
+}
+
+module.exports = RateLimiter;
@@ -1,44 +1,351 @@
+/**
+ * Round a value to a multiple of step, keeping step's decimals
+ */
+function roundToStep(value, step, method = Math.round) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  // The epsilon keeps exact multiples from flooring one step down
+  return parseFloat((method(value / step + 1e-9) * step).toFixed(decimals));
+}
+
 /**
  * Risk Management Module
  * Handles position sizing, risk calculation, and trade limits
  */
 class RiskManager {
-  constructor(config) {
+  constructor(config, logger = console) {
     this.config = config;
+    this.logger = logger;
     this.tradesExecutedToday = 0;
-    this.lastResetDate = new Date().toDateString();
+    this.tradesBySymbol = {};
+    this.openRisk = {};
+    this.lastResetDate = null; // Set on the first daily check
+
+    // Circuit breaker
+    this.dailyRealizedPnl = 0;
+    this.consecutiveLosses = 0;
+    this.currentEquity = null;
+    this.dayStartEquity = null;
+    this.equityHighWaterMark = null;
+    this.halt = null; // { guard, reason, trippedAt, until } while tripped
   }
 
   /**
    * Reset daily trade counter if it's a new day
    */
-  checkAndResetDailyCounter() {
-    const today = new Date().toDateString();
-    if (today !== this.lastResetDate) {
+  checkAndResetDailyCounter(now = new Date()) {
+    const today = now.toDateString();
+    if (today !== this.lastResetDate && !this.isBeforeToday(now)) {
       this.tradesExecutedToday = 0;
+      this.tradesBySymbol = {};
+      this.dailyRealizedPnl = 0;
+      this.dayStartEquity = this.currentEquity;
       this.lastResetDate = today;
-      console.log(
+      this.logger.log(
         "📅 Nuevo día de trading - contador de operaciones reiniciado"
       );
     }
   }
 
+  /**
+   * Whether a time falls on a day before the current trading day
+   */
+  isBeforeToday(time) {
+    return (
+      this.lastResetDate !== null &&
+      time.getTime() < Date.parse(this.lastResetDate)
+    );
+  }
+
   /**
    * Check if we've reached max trades for the day
+   * With a symbol, risk.maxTradesPerDay applies to that symbol and
+   * portfolio.maxTradesPerDay to the whole account
    */
-  canTradeToday() {
-    this.checkAndResetDailyCounter();
-    return this.tradesExecutedToday <= this.config.risk.maxTradesPerDay;
+  canTradeToday(now = new Date(), symbol = null) {
+    this.checkAndResetDailyCounter(now);
+
+    const symbolTrades = symbol
+      ? this.tradesBySymbol[symbol] || 0
+      : this.tradesExecutedToday;
+    if (symbolTrades >= this.config.risk.maxTradesPerDay) return false;
+
+    const portfolioLimit = this.config.portfolio?.maxTradesPerDay;
+    return !portfolioLimit || this.tradesExecutedToday < portfolioLimit;
   }
 
   /**
    * Increment daily trade counter
    */
-  recordTrade() {
+  recordTrade(symbol = null) {
     this.tradesExecutedToday++;
-    console.log(
-      `📊 Operaciones hoy: ${this.tradesExecutedToday}/${this.config.risk.maxTradesPerDay}`
+    if (symbol) {
+      this.tradesBySymbol[symbol] = (this.tradesBySymbol[symbol] || 0) + 1;
+    }
+    this.logger.log(
+      `📊 Operaciones hoy: ${this.tradesExecutedToday}/${
+        this.config.portfolio?.maxTradesPerDay ||
+        this.config.risk.maxTradesPerDay
+      }`
+    );
+  }
+
+  /**
+   * Add the realized PnL of a closed trade to the daily loss and
+   * losing streak guards
+   *
+   * @returns {Object|null} The halt, if this trade tripped a guard
+   */
+  recordRealizedPnl(pnl, now = new Date()) {
+    this.checkAndResetDailyCounter(now);
+    // A trip closed on an earlier day only extends the losing streak
+    if (!this.isBeforeToday(now)) this.dailyRealizedPnl += pnl;
+    this.consecutiveLosses = pnl < 0 ? this.consecutiveLosses + 1 : 0;
+    return this.checkCircuitBreaker(now);
+  }
+
+  /**
+   * Track account equity for the drawdown guard
+   *
+   * @returns {Object|null} The halt, if the drawdown tripped the guard
+   */
+  updateEquity(equity, now = new Date()) {
+    this.checkAndResetDailyCounter(now);
+    this.currentEquity = equity;
+    this.dayStartEquity = this.dayStartEquity ?? equity;
+    this.equityHighWaterMark = Math.max(this.equityHighWaterMark ?? 0, equity);
+    return this.checkCircuitBreaker(now);
+  }
+
+  /**
+   * Trip the circuit breaker if any guard is exceeded
+   */
+  checkCircuitBreaker(now = new Date()) {
+    const settings = this.config.circuitBreaker;
+    if (!settings?.enabled || this.halt) return null;
+
+    const tripped = this.exceededGuard(settings);
+    if (!tripped) return null;
+
+    let until = settings.cooldownMinutes
+      ? now.getTime() + settings.cooldownMinutes * 60000
+      : null;
+    // The day's loss stays on the books until the day rolls over
+    if (until !== null && tripped.guard === "dailyLoss") {
+      const nextDay = new Date(
+        now.getFullYear(),
+        now.getMonth(),
+        now.getDate() + 1
+      ).getTime();
+      until = Math.max(until, nextDay);
+    }
+
+    this.halt = { ...tripped, trippedAt: now.getTime(), until };
+
+    this.logger.log(
+      `🚨 Circuit breaker activado: ${tripped.reason} - sin nuevas entradas ${
+        this.halt.until
+          ? `hasta ${new Date(this.halt.until).toLocaleString()}`
+          : "hasta reactivación manual"
+      }`
     );
+    return this.halt;
+  }
+
+  /**
+   * First guard exceeded, as { guard, reason }, or null
+   */
+  exceededGuard(settings) {
+    const dailyLoss = -this.dailyRealizedPnl;
+
+    if (settings.maxDailyLossUSDT && dailyLoss >= settings.maxDailyLossUSDT) {
+      return {
+        guard: "dailyLoss",
+        reason: `Pérdida diaria $${dailyLoss.toFixed(2)} ≥ $${
+          settings.maxDailyLossUSDT
+        }`,
+      };
+    }
+
+    if (settings.maxDailyLossPercent && this.dayStartEquity > 0) {
+      const lossPercent = (dailyLoss / this.dayStartEquity) * 100;
+      if (lossPercent >= settings.maxDailyLossPercent) {
+        return {
+          guard: "dailyLoss",
+          reason: `Pérdida diaria ${lossPercent.toFixed(2)}% ≥ ${
+            settings.maxDailyLossPercent
+          }%`,
+        };
+      }
+    }
+
+    if (
+      settings.maxConsecutiveLosses &&
+      this.consecutiveLosses >= settings.maxConsecutiveLosses
+    ) {
+      return {
+        guard: "consecutiveLosses",
+        reason: `${this.consecutiveLosses} pérdidas consecutivas`,
+      };
+    }
+
+    if (settings.maxDrawdownPercent && this.equityHighWaterMark > 0) {
+      const drawdown =
+        ((this.equityHighWaterMark - this.currentEquity) /
+          this.equityHighWaterMark) *
+        100;
+      if (drawdown >= settings.maxDrawdownPercent) {
+        return {
+          guard: "maxDrawdown",
+          reason: `Drawdown ${drawdown.toFixed(2)}% ≥ ${
+            settings.maxDrawdownPercent
+          }% desde máximo $${this.equityHighWaterMark.toFixed(2)}`,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the circuit breaker blocks new positions
+   * Re-arms automatically once the cooldown has passed (a daily loss halt
+   * not before the next day). Only the losing streak starts over: the
+   * day's realized PnL and the equity high-water mark are kept, so a guard
+   * that is still exceeded trips again.
+   */
+  isHalted(now = new Date()) {
+    if (!this.halt) return false;
+
+    if (this.halt.until !== null && now.getTime() >= this.halt.until) {
+      this.logger.log("✅ Circuit breaker rearmado tras el enfriamiento");
+      this.halt = null;
+      this.consecutiveLosses = 0;
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Re-arm the circuit breaker by hand. Loss counters start over and
+   * drawdown is measured from the current equity, so the same loss does
+   * not trip it again.
+   */
+  rearm() {
+    this.halt = null;
+    this.dailyRealizedPnl = 0;
+    this.consecutiveLosses = 0;
+    this.dayStartEquity = this.currentEquity;
+    this.equityHighWaterMark = this.currentEquity;
+  }
+
+  /**
+   * Check the shared portfolio budget before opening a position
+   *
+   * @param {string} symbol - Symbol of the new position
+   * @param {number} riskAmount - USDT lost if the new position hits its stop
+   * @param {number} accountBalance - Total account balance in USDT
+   * @param {string[]} openSymbols - Symbols with an open position
+   * @returns {boolean} Whether the position fits in the budget
+   */
+  canOpenPosition(symbol, riskAmount, accountBalance, openSymbols) {
+    const portfolio = this.config.portfolio;
+    if (!portfolio) return true;
+
+    const others = openSymbols.filter((s) => s !== symbol);
+
+    if (others.length >= portfolio.maxConcurrentPositions) {
+      this.logger.log(
+        `⚠️ Máximo de posiciones simultáneas alcanzado: ${others.length}/${portfolio.maxConcurrentPositions}`
+      );
+      return false;
+    }
+
+    // Positions opened outside this process are assumed to risk the default %
+    const defaultRisk =
+      accountBalance * (this.config.risk.riskPercentage / 100);
+    const openRisk = others.reduce(
+      (sum, s) => sum + (this.openRisk[s] ?? defaultRisk),
+      0
+    );
+    const totalRiskPercentage =
+      ((openRisk + riskAmount) / accountBalance) * 100;
+
+    this.logger.log(
+      `   Riesgo Abierto Total: $${(openRisk + riskAmount).toFixed(
+        2
+      )} (${totalRiskPercentage.toFixed(2)}%)`
+    );
+
+    if (totalRiskPercentage > portfolio.maxOpenRiskPercent) {
+      this.logger.log(
+        `⚠️ Riesgo abierto demasiado alto: ${totalRiskPercentage.toFixed(
+          2
+        )}% > ${portfolio.maxOpenRiskPercent}%`
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Track the risk of a newly opened position
+   */
+  registerOpenRisk(symbol, riskAmount) {
+    this.openRisk[symbol] = riskAmount;
+  }
+
+  /**
+   * Forget the risk of a closed position
+   */
+  releaseOpenRisk(symbol) {
+    delete this.openRisk[symbol];
+  }
+
+  /**
+   * Drop tracked risk for symbols that no longer have a position
+   * (e.g. closed by the exchange through SL/TP)
+   */
+  syncOpenRisk(openSymbols) {
+    for (const symbol of Object.keys(this.openRisk)) {
+      if (!openSymbols.includes(symbol)) this.releaseOpenRisk(symbol);
+    }
+  }
+
+  /**
+   * Daily counters and open risk, for persisting across restarts
+   */
+  exportState() {
+    return {
+      tradesExecutedToday: this.tradesExecutedToday,
+      tradesBySymbol: this.tradesBySymbol,
+      lastResetDate: this.lastResetDate,
+      openRisk: this.openRisk,
+      dailyRealizedPnl: this.dailyRealizedPnl,
+      consecutiveLosses: this.consecutiveLosses,
+      dayStartEquity: this.dayStartEquity,
+      equityHighWaterMark: this.equityHighWaterMark,
+      halt: this.halt,
+    };
+  }
+
+  /**
+   * Restore state saved by exportState()
+   * Counters from a previous day are reset on the next daily check
+   */
+  restoreState(state) {
+    if (!state) return;
+
+    this.tradesExecutedToday = state.tradesExecutedToday || 0;
+    this.tradesBySymbol = state.tradesBySymbol || {};
+    this.lastResetDate = state.lastResetDate || this.lastResetDate;
+    this.openRisk = state.openRisk || {};
+    this.dailyRealizedPnl = state.dailyRealizedPnl || 0;
+    this.consecutiveLosses = state.consecutiveLosses || 0;
+    this.dayStartEquity = state.dayStartEquity ?? null;
+    this.equityHighWaterMark = state.equityHighWaterMark ?? null;
+    this.halt = state.halt || null;
   }
 
   /**
@@ -56,7 +363,7 @@ class RiskManager {
     const stopDistance = Math.abs(entryPrice - stopLoss);
 
     if (stopDistance === 0) {
-      console.error(
+      this.logger.error(
         "⚠️ La distancia de stop es cero - no se puede calcular el tamaño de posición"
       );
       return 0;
@@ -71,7 +378,7 @@ class RiskManager {
     // Apply min/max limits
     if (positionSize < minPositionSize) {
       const positionValueUSDT = positionSize * entryPrice;
-      console.log(
+      this.logger.log(
         `⚠️ Tamaño de posición $${positionValueUSDT.toFixed(
           2
         )} por debajo del mínimo, usando $${
@@ -83,7 +390,7 @@ class RiskManager {
 
     if (positionSize > maxPositionSize) {
       const positionValueUSDT = positionSize * entryPrice;
-      console.log(
+      this.logger.log(
         `⚠️ Tamaño de posición $${positionValueUSDT.toFixed(
           2
         )} por encima del máximo, limitando a $${
@@ -104,18 +411,18 @@ class RiskManager {
     const potentialLoss = stopDistance * positionSize;
     const riskPercentage = (potentialLoss / accountBalance) * 100;
 
-    console.log("💰 Análisis de Riesgo:");
-    console.log(`   Saldo de Cuenta: $${accountBalance.toFixed(2)}`);
-    console.log(`   Precio de Entrada: $${entryPrice.toFixed(2)}`);
-    console.log(`   Stop Loss: $${stopLoss.toFixed(2)}`);
-    console.log(
+    this.logger.log("💰 Análisis de Riesgo:");
+    this.logger.log(`   Saldo de Cuenta: $${accountBalance.toFixed(2)}`);
+    this.logger.log(`   Precio de Entrada: $${entryPrice.toFixed(2)}`);
+    this.logger.log(`   Stop Loss: $${stopLoss.toFixed(2)}`);
+    this.logger.log(
       `   Distancia de Stop: $${stopDistance.toFixed(2)} (${(
         (stopDistance / entryPrice) *
         100
       ).toFixed(2)}%)`
     );
-    console.log(`   Tamaño de Posición: ${positionSize.toFixed(6)}`);
-    console.log(
+    this.logger.log(`   Tamaño de Posición: ${positionSize.toFixed(6)}`);
+    this.logger.log(
       `   Riesgo Máximo: $${potentialLoss.toFixed(2)} (${riskPercentage.toFixed(
         2
       )}%)`
@@ -123,7 +430,7 @@ class RiskManager {
 
     // Check if risk is within acceptable range
     if (riskPercentage > this.config.risk.riskPercentage * 1.5) {
-      console.log(
+      this.logger.log(
         `⚠️ Riesgo demasiado alto: ${riskPercentage.toFixed(2)}% > ${(
           this.config.risk.riskPercentage * 1.5
         ).toFixed(2)}%`
@@ -132,7 +439,7 @@ class RiskManager {
     }
 
     if (positionSize <= 0) {
-      console.log("⚠️ Tamaño de posición inválido: debe ser mayor que 0");
+      this.logger.log("⚠️ Tamaño de posición inválido: debe ser mayor que 0");
       return false;
     }
 
@@ -146,6 +453,71 @@ class RiskManager {
     return positionSize * price;
   }
 
+  /**
+   * Leverage and margin type configured for a symbol
+   */
+  marginSettings(symbol) {
+    const margin = this.config.margin || {};
+    return {
+      leverage: margin.leverage || 1,
+      marginType: margin.marginType || "ISOLATED",
+      ...margin.perSymbol?.[symbol],
+    };
+  }
+
+  /**
+   * Estimate the liquidation price of a new position
+   * Isolated: the position margin (notional / leverage) absorbs the loss.
+   * Crossed: the whole available balance does, so liquidation is further away.
+   *
+   * @returns {number|null} Liquidation price, or null if there is none
+   */
+  estimateLiquidationPrice(
+    type,
+    entryPrice,
+    positionSize,
+    leverage,
+    marginType = "ISOLATED",
+    accountBalance = 0
+  ) {
+    const maintenance =
+      entryPrice * (this.config.margin?.maintenanceMarginRate || 0);
+    const marginPerUnit =
+      marginType === "CROSSED"
+        ? accountBalance / positionSize
+        : entryPrice / leverage;
+
+    if (type === "LONG") {
+      const price = entryPrice - marginPerUnit + maintenance;
+      return price > 0 ? price : null;
+    }
+    return entryPrice + marginPerUnit - maintenance;
+  }
+
+  /**
+   * Refuse trades whose stop loss would only trigger after liquidation
+   */
+  isStopBeforeLiquidation(type, stopLoss, liquidationPrice) {
+    if (liquidationPrice === null) return true;
+
+    this.logger.log(
+      `   Precio de Liquidación Estimado: $${liquidationPrice.toFixed(2)}`
+    );
+
+    const safe =
+      type === "LONG"
+        ? stopLoss > liquidationPrice
+        : stopLoss < liquidationPrice;
+    if (!safe) {
+      this.logger.log(
+        `⚠️ Stop loss $${stopLoss.toFixed(
+          2
+        )} más allá del precio de liquidación $${liquidationPrice.toFixed(2)}`
+      );
+    }
+    return safe;
+  }
+
   /**
    * Check if account has sufficient balance for trade
    */
@@ -155,16 +527,16 @@ class RiskManager {
 
     const required = requiredMargin * safetyBuffer;
 
-    console.log(
+    this.logger.log(
       `   Margen Requerido: $${required.toFixed(2)} (con ${(
         (safetyBuffer - 1) *
         100
       ).toFixed(0)}% de margen)`
     );
-    console.log(`   Saldo Disponible: $${accountBalance.toFixed(2)}`);
+    this.logger.log(`   Saldo Disponible: $${accountBalance.toFixed(2)}`);
 
     if (accountBalance < required) {
-      console.log(
+      this.logger.log(
         `⚠️ Saldo insuficiente: $${accountBalance.toFixed(
           2
         )} < $${required.toFixed(2)}`
@@ -177,8 +549,14 @@ class RiskManager {
 
   /**
    * Format position size to appropriate precision
+   * With the contract spec the size is rounded down to the quantity step,
+   * otherwise the precision is guessed from the symbol
    */
-  formatPositionSize(size, symbol) {
+  formatPositionSize(size, symbol, spec = null) {
+    if (spec) {
+      return roundToStep(size, spec.quantityStep, Math.floor);
+    }
+
     // BTC typically uses 3 decimal places, adjust as needed for other symbols
     if (symbol.includes("BTC")) {
       return parseFloat(size.toFixed(3));
@@ -189,8 +567,69 @@ class RiskManager {
     }
   }
 
+  /**
+   * Round a price to the contract tick size
+   */
+  formatPrice(price, spec = null) {
+    return spec ? roundToStep(price, spec.tickSize) : price;
+  }
+
+  /**
+   * Check an order against the contract minimum quantity and notional
+   */
+  meetsContractMinimums(positionSize, entryPrice, spec) {
+    if (!spec) return true;
+
+    if (positionSize < spec.minQuantity) {
+      this.logger.log(
+        `⚠️ Cantidad por debajo del mínimo del contrato: ${positionSize} < ${spec.minQuantity}`
+      );
+      return false;
+    }
+
+    const notional = positionSize * entryPrice;
+    if (notional < spec.minNotional) {
+      this.logger.log(
+        `⚠️ Valor de la orden por debajo del mínimo: $${notional.toFixed(
+          2
+        )} < $${spec.minNotional}`
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Split a position size across take profit tranches
+   * The last tranche takes the remainder so the quantities add up exactly;
+   * with the contract spec every tranche is a multiple of the quantity step
+   */
+  splitQuantity(positionSize, ladder, spec = null) {
+    let remaining = positionSize;
+
+    return ladder.map((tranche, index) => {
+      let quantity =
+        index === ladder.length - 1
+          ? remaining
+          : positionSize * (tranche.percent / 100);
+
+      if (spec) {
+        quantity =
+          index === ladder.length - 1
+            ? roundToStep(quantity, spec.quantityStep)
+            : roundToStep(quantity, spec.quantityStep, Math.floor);
+      }
+
+      remaining -= quantity;
+      return { ...tranche, quantity };
+    });
+  }
+
   /**
    * Get trade summary for logging
+   * With a ladder, reward and R:R are blended across the tranches; tranches
+   * without a target are valued at the single takeProfit
    */
   getTradeSummary(
     type,
@@ -198,15 +637,25 @@ class RiskManager {
     stopLoss,
     takeProfit,
     positionSize,
-    accountBalance
+    accountBalance,
+    ladder = null
   ) {
     const stopDistance = Math.abs(entryPrice - stopLoss);
-    const takeProfitDistance = Math.abs(takeProfit - entryPrice);
     const riskAmount = stopDistance * positionSize;
-    const rewardAmount = takeProfitDistance * positionSize;
+    const tranches =
+      ladder && ladder.length > 0
+        ? ladder
+        : [{ price: takeProfit, quantity: positionSize }];
+    const rewardAmount = tranches.reduce(
+      (sum, tranche) =>
+        sum +
+        Math.abs((tranche.price ?? takeProfit) - entryPrice) *
+          (tranche.quantity ?? positionSize),
+      0
+    );
     const riskRewardRatio = rewardAmount / riskAmount;
 
-    return {
+    const summary = {
       type,
       entryPrice: entryPrice.toFixed(2),
       stopLoss: stopLoss.toFixed(2),
@@ -218,6 +667,17 @@ class RiskManager {
       riskPercentage: ((riskAmount / accountBalance) * 100).toFixed(2),
       timestamp: new Date().toISOString(),
     };
+
+    if (ladder && ladder.length > 1) {
+      summary.takeProfitTargets = ladder.map((tranche) => ({
+        r: tranche.r,
+        percent: tranche.percent,
+        price: tranche.price === null ? null : tranche.price.toFixed(2),
+        quantity: tranche.quantity.toFixed(6),
+      }));
+    }
+
+    return summary;
   }
 }
 
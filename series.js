@@ -0,0 +1,134 @@
+/**
+ * Series Helpers
+ * Questions about indicator series aligned with the candles (see
+ * Indicators.computeSeries / indicators.series), where the last element is
+ * the current candle and null means "not enough data yet". Wherever a
+ * series is expected a plain number can be passed as a constant level.
+ *
+ *   Series.crossedAbove(series.emaFast, series.emaSlow, 3)
+ *   Series.barsSince(Series.crossOver(series.emaFast, series.emaSlow))
+ *   Series.lowest(series.rsi, 5) < 30
+ */
+class Series {
+  /**
+   * Value `ago` candles before the last one (0 = current candle)
+   */
+  static last(series, ago = 0) {
+    if (!Array.isArray(series)) return series;
+    return series[series.length - 1 - ago] ?? null;
+  }
+
+  /**
+   * Boolean series: true where `a` crosses above `b`
+   */
+  static crossOver(a, b) {
+    return this.crossings(a, b, (prevDiff, diff) => prevDiff <= 0 && diff > 0);
+  }
+
+  /**
+   * Boolean series: true where `a` crosses below `b`
+   */
+  static crossUnder(a, b) {
+    return this.crossings(a, b, (prevDiff, diff) => prevDiff >= 0 && diff < 0);
+  }
+
+  /**
+   * Whether `a` crossed above `b` within the last `withinBars` candles
+   * (1 = on the current candle)
+   */
+  static crossedAbove(a, b, withinBars = 1) {
+    return this.crossOver(a, b).slice(-withinBars).includes(true);
+  }
+
+  /**
+   * Whether `a` crossed below `b` within the last `withinBars` candles
+   */
+  static crossedBelow(a, b, withinBars = 1) {
+    return this.crossUnder(a, b).slice(-withinBars).includes(true);
+  }
+
+  /**
+   * Candles since `condition` was last true (0 = current candle), or null
+   * if it never was. `condition` is a boolean series, e.g.
+   * series.rsi.map((rsi) => rsi < 30) or Series.crossOver(a, b).
+   */
+  static barsSince(condition) {
+    const index = condition.lastIndexOf(true);
+    return index === -1 ? null : condition.length - 1 - index;
+  }
+
+  /**
+   * Highest value of the last `n` candles (nulls ignored)
+   */
+  static highest(series, n) {
+    const values = this.window(series, n);
+    return values.length > 0 ? Math.max(...values) : null;
+  }
+
+  /**
+   * Lowest value of the last `n` candles (nulls ignored)
+   */
+  static lowest(series, n) {
+    const values = this.window(series, n);
+    return values.length > 0 ? Math.min(...values) : null;
+  }
+
+  /**
+   * Least-squares slope of the last `n` values, in units per candle, or
+   * null while any of them is missing
+   */
+  static slope(series, n) {
+    if (n < 2 || series.length < n) return null;
+
+    const values = series.slice(-n);
+    if (values.some((value) => value === null || value === undefined)) {
+      return null;
+    }
+
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    values.forEach((value, x) => {
+      numerator += (x - meanX) * (value - meanY);
+      denominator += (x - meanX) ** 2;
+    });
+
+    return numerator / denominator;
+  }
+
+  /**
+   * Non-null values of the last `n` candles
+   */
+  static window(series, n) {
+    return series
+      .slice(-n)
+      .filter((value) => value !== null && value !== undefined);
+  }
+
+  /**
+   * Boolean series of the candles where the difference a - b changes sign
+   * as `isCross` says (false where either side is missing)
+   */
+  static crossings(a, b, isCross) {
+    const length = Array.isArray(a) ? a.length : b.length;
+    const at = (series, i) => (Array.isArray(series) ? series[i] : series);
+    const diff = (i) => {
+      const [x, y] = [at(a, i), at(b, i)];
+      return x === null || x === undefined || y === null || y === undefined
+        ? null
+        : x - y;
+    };
+
+    const result = new Array(length).fill(false);
+    for (let i = 1; i < length; i++) {
+      const [previous, current] = [diff(i - 1), diff(i)];
+      if (previous !== null && current !== null) {
+        result[i] = isCross(previous, current);
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = Series;
@@ -0,0 +1,288 @@
+const http = require("http");
+const crypto = require("crypto");
+const config = require("./config");
+
+const SIDES = {
+  LONG: "LONG",
+  BUY: "LONG",
+  SHORT: "SHORT",
+  SELL: "SHORT",
+  CLOSE: "CLOSE",
+  EXIT: "CLOSE",
+  FLAT: "CLOSE",
+};
+
+/**
+ * Signal Server
+ * HTTP endpoint for external alerts (TradingView-style webhooks) that drive
+ * the symbols using the "webhook" strategy. Alerts are authenticated,
+ * validated, de-duplicated by id and rejected when stale, then handed to
+ * the bot, which acts on them at its next check.
+ *
+ *   POST /webhook  { "id": "...", "symbol": "BTC-USDT", "side": "LONG",
+ *                    "stopLoss": 60000, "takeProfit": 66000,
+ *                    "atrMultiple": 1.5, "timestamp": "...",
+ *                    "token": "..." }
+ *
+ * The token goes in "Authorization: Bearer <token>" or, for senders that
+ * can't set headers, in the "token" field of the alert.
+ */
+class SignalServer {
+  constructor(bot, options = {}) {
+    const settings = { ...config.signals, ...options };
+
+    if (!settings.token) {
+      throw new Error(
+        "El webhook de señales necesita un token (signals.token o SIGNAL_TOKEN)"
+      );
+    }
+
+    this.bot = bot;
+    this.host = settings.host;
+    this.port = settings.port;
+    this.path = settings.path;
+    this.token = settings.token;
+    this.maxAge = settings.maxAgeSeconds * 1000;
+    this.dedupWindow = settings.dedupWindowMinutes * 60000;
+    this.seen = {}; // Alert id → time received, for de-duplication
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    this.server?.close();
+    this.server = null;
+  }
+
+  /**
+   * Ids seen within the de-duplication window, for persisting
+   */
+  exportState() {
+    return { seen: this.seen };
+  }
+
+  /**
+   * Restore state saved by exportState()
+   */
+  restoreState(state) {
+    this.seen = state?.seen || {};
+  }
+
+  /**
+   * Authenticate, validate and accept an alert
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+    if (req.method !== "POST" || url.pathname !== this.path) {
+      return this.send(res, 404, { error: "Ruta desconocida" });
+    }
+
+    try {
+      const alert = await this.readBody(req);
+
+      if (!this.isAuthorized(req, alert)) {
+        return this.send(res, 401, { error: "Token inválido" });
+      }
+
+      const result = this.accept(alert, Date.now());
+      this.send(res, result.error ? 400 : 200, result);
+    } catch (error) {
+      this.send(res, 400, { error: error.message });
+    }
+  }
+
+  /**
+   * Check the alert and pass it to the bot
+   *
+   * @returns {Object} { ok, id } / { ok, id, duplicate } / { error }
+   */
+  accept(raw, now) {
+    const alert = this.validate(raw, now);
+    if (alert.error) {
+      this.bot.log(`📨 Alerta rechazada: ${alert.error}`);
+      return alert;
+    }
+
+    this.pruneSeen(now);
+    if (this.seen[alert.id]) {
+      this.bot.log(`📨 Alerta duplicada ${alert.id} - ignorada`);
+      return { ok: true, id: alert.id, duplicate: true };
+    }
+
+    const result = this.bot.receiveSignal(alert);
+    if (result.error) {
+      this.bot.log(`📨 Alerta rechazada: ${result.error}`);
+      return result;
+    }
+
+    this.seen[alert.id] = now;
+    return { ok: true, id: alert.id };
+  }
+
+  /**
+   * Normalise an alert, or { error } when it is invalid or stale
+   */
+  validate(raw, now) {
+    if (!raw || typeof raw !== "object") {
+      return { error: "La alerta debe ser un objeto JSON" };
+    }
+
+    const symbol = this.resolveSymbol(raw.symbol);
+    if (!symbol) {
+      return { error: `Símbolo desconocido: ${raw.symbol ?? "(ninguno)"}` };
+    }
+
+    const side = SIDES[String(raw.side || "").toUpperCase()];
+    if (!side) {
+      return {
+        error: `Lado inválido: ${
+          raw.side ?? "(ninguno)"
+        } (LONG, SHORT o CLOSE)`,
+      };
+    }
+
+    const levels = {};
+    for (const key of ["stopLoss", "takeProfit", "atrMultiple"]) {
+      if (raw[key] === undefined || raw[key] === null || raw[key] === "") {
+        continue;
+      }
+      const value = Number(raw[key]);
+      if (!(value > 0)) return { error: `${key} inválido: ${raw[key]}` };
+      levels[key] = value;
+    }
+    if (levels.stopLoss && levels.atrMultiple) {
+      return { error: "Usa stopLoss o atrMultiple, no ambos" };
+    }
+    if (side === "CLOSE" && Object.keys(levels).length > 0) {
+      return { error: "Una alerta CLOSE no lleva stopLoss / takeProfit" };
+    }
+
+    let sentAt = now;
+    if (raw.timestamp !== undefined) {
+      sentAt = this.parseTimestamp(raw.timestamp);
+      if (sentAt === null) {
+        return { error: `Timestamp inválido: ${raw.timestamp}` };
+      }
+    }
+    const age = now - sentAt;
+    if (age > this.maxAge || age < -this.maxAge) {
+      return {
+        error: `Alerta caducada (${Math.round(age / 1000)}s, máximo ${
+          this.maxAge / 1000
+        }s)`,
+      };
+    }
+
+    return {
+      id: String(raw.id ?? `${symbol}:${side}:${sentAt}`),
+      symbol,
+      side,
+      ...levels,
+      sentAt,
+      expiresAt: sentAt + this.maxAge,
+    };
+  }
+
+  /**
+   * Match a ticker to a configured symbol: "BTC-USDT", "BTCUSDT" and
+   * "BINGX:BTCUSDT.P" all resolve to BTC-USDT
+   */
+  resolveSymbol(ticker) {
+    if (!ticker) return null;
+
+    const plain = (value) => value.replace(/-/g, "").toUpperCase();
+    const wanted = plain(
+      String(ticker).replace(/^.*:/, "").replace(/\.P$/i, "")
+    );
+
+    return this.bot.symbols.find((symbol) => plain(symbol) === wanted) || null;
+  }
+
+  /**
+   * Epoch milliseconds from an ISO date or epoch seconds / milliseconds
+   */
+  parseTimestamp(value) {
+    const number = Number(value);
+    if (Number.isFinite(number) && String(value).trim() !== "") {
+      return number < 1e12 ? number * 1000 : number;
+    }
+
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * Forget ids older than the de-duplication window
+   */
+  pruneSeen(now) {
+    for (const [id, time] of Object.entries(this.seen)) {
+      if (now - time >= this.dedupWindow) delete this.seen[id];
+    }
+  }
+
+  /**
+   * Compare the token (header or alert field) in constant time
+   */
+  isAuthorized(req, alert) {
+    const header = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    const given = Buffer.from(header || String(alert?.token ?? ""));
+    const expected = Buffer.from(this.token);
+
+    return (
+      given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected)
+    );
+  }
+
+  /**
+   * Parse a JSON request body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let raw = "";
+      req.on("data", (chunk) => {
+        raw += chunk;
+        if (raw.length > 1e5) {
+          reject(new Error("Cuerpo de la petición demasiado grande"));
+          req.destroy();
+        }
+      });
+      req.on("end", () => {
+        try {
+          resolve(JSON.parse(raw));
+        } catch {
+          reject(new Error("JSON inválido"));
+        }
+      });
+      req.on("error", reject);
+    });
+  }
+
+  /**
+   * Write a JSON response
+   */
+  send(res, status, payload) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+module.exports = SignalServer;
@@ -0,0 +1,762 @@
+const path = require("path");
+const { loadCandles } = require("./backtest");
+const CandleCache = require("./candle-cache");
+const config = require("./config");
+
+/**
+ * Simulated Exchange
+ * Drop-in replacement for BingXAPI that keeps an in-memory account and
+ * fills orders against supplied historical candles. Every getKlines() call
+ * for config.interval advances the market by one candle, so TradingBot can
+ * run offline; other intervals are resampled from the candles replayed so
+ * far.
+ */
+class SimulatedExchange {
+  constructor(options = {}) {
+    const settings = { ...config.simulator, ...options };
+
+    this.testMode = true;
+    this.interval = settings.interval || config.interval; // Of the replayed candles
+    this.balance = settings.initialBalance;
+    this.feeRate = settings.feeRate || 0;
+    this.makerFeeRate = settings.makerFeeRate ?? this.feeRate;
+    this.slippage = (settings.slippagePercent || 0) / 100;
+    this.contract = settings.contract || null;
+    this.warmup = config.candleLimit; // Candles already "past" at the start
+    this.markets = {};
+    this.positions = [];
+    this.orders = []; // Limit orders (market orders fill immediately)
+    this.leverage = {};
+    this.marginTypes = {};
+    this.history = [];
+    this.nextId = 1;
+
+    if (options.candles) {
+      this.loadMarket(options.symbol || config.symbol, options.candles);
+    } else if (settings.dataFile) {
+      for (const symbol of options.symbols || config.symbols) {
+        const file = settings.dataFile.replace("{symbol}", symbol);
+        this.loadMarket(symbol, loadCandles(path.resolve(file)));
+      }
+    }
+  }
+
+  /**
+   * Register the candles that will be replayed for a symbol. The replay
+   * starts at the end of the first candleLimit candles, so the clock is
+   * already on candle time before the first getKlines()
+   */
+  loadMarket(symbol, candles) {
+    this.markets[symbol] = {
+      candles,
+      cursor: Math.min(this.warmup, candles.length) - 1,
+      started: false, // The first getKlines() returns the warm-up window
+    };
+  }
+
+  /**
+   * Current candle for a symbol
+   */
+  currentCandle(symbol) {
+    const market = this.markets[symbol];
+    if (!market) return null;
+    return market.candles[market.cursor] || null;
+  }
+
+  /**
+   * Simulated clock: time of the most recent replayed candle
+   */
+  now() {
+    const times = Object.keys(this.markets)
+      .map((symbol) => this.currentCandle(symbol)?.time)
+      .filter((time) => time !== undefined);
+
+    return times.length > 0 ? new Date(Math.max(...times)) : new Date();
+  }
+
+  /**
+   * Advance the market by one candle and process stop/target triggers
+   */
+  advance(symbol) {
+    const market = this.markets[symbol];
+
+    if (!market.started) {
+      market.started = true;
+      return;
+    }
+
+    if (market.cursor >= market.candles.length - 1) {
+      if (!market.finished) {
+        console.log(`🏁 Simulador: fin de los datos para ${symbol}`);
+        market.finished = true;
+      }
+      return;
+    }
+
+    market.cursor++;
+    this.checkTriggers(symbol, market.candles[market.cursor]);
+  }
+
+  /**
+   * Get latest kline/candlestick data
+   */
+  async getKlines(symbol, interval, limit = 100) {
+    if (!this.markets[symbol]) {
+      console.error(`Simulador: sin datos para ${symbol}`);
+      return [];
+    }
+
+    if (interval !== this.interval) {
+      return this.resampledKlines(symbol, interval, limit);
+    }
+
+    this.advance(symbol);
+
+    const { candles, cursor } = this.markets[symbol];
+    return candles
+      .slice(Math.max(0, cursor - limit + 1), cursor + 1)
+      .map((candle) => ({ ...candle }));
+  }
+
+  /**
+   * Candles of another interval built from the ones replayed so far (the
+   * last one may still be forming), without advancing the market
+   */
+  resampledKlines(symbol, interval, limit) {
+    const { candles, cursor } = this.markets[symbol];
+    return CandleCache.resample(candles.slice(0, cursor + 1), interval).slice(
+      -limit
+    );
+  }
+
+  /**
+   * Get account balance
+   */
+  async getBalance() {
+    const unrealized = this.positions.reduce(
+      (sum, pos) => sum + this.unrealizedProfit(pos),
+      0
+    );
+    const usedMargin = this.positions.reduce(
+      (sum, pos) => sum + (pos.entryPrice * pos.size) / pos.leverage,
+      0
+    );
+
+    return {
+      asset: "USDT",
+      balance: this.balance,
+      availableMargin: this.balance + unrealized - usedMargin,
+    };
+  }
+
+  /**
+   * Get current positions
+   */
+  async getPositions(symbol) {
+    return this.positions
+      .filter((pos) => !symbol || pos.symbol === symbol)
+      .map((pos) => ({
+        positionId: pos.positionId,
+        symbol: pos.symbol,
+        side: pos.side,
+        size: pos.size,
+        entryPrice: pos.entryPrice,
+        unrealizedProfit: this.unrealizedProfit(pos),
+        leverage: pos.leverage,
+      }));
+  }
+
+  /**
+   * Place a market order, filled at the current candle close
+   * With { type: "LIMIT", price, postOnly } the order rests until a later
+   * candle trades through its price (see checkTriggers)
+   */
+  async placeOrder(
+    symbol,
+    side,
+    quantity,
+    stopLoss = null,
+    takeProfit = null,
+    options = {}
+  ) {
+    const candle = this.currentCandle(symbol);
+    const size = parseFloat(quantity);
+
+    if (!candle) {
+      return { success: false, error: `Sin precio de mercado para ${symbol}` };
+    }
+    if (!(size > 0)) {
+      return { success: false, error: "Cantidad inválida" };
+    }
+
+    const orderSide = side.toUpperCase();
+    const orderId = String(this.nextId++);
+
+    if (options.type === "LIMIT") {
+      const price = parseFloat(options.price);
+      const crosses =
+        orderSide === "BUY" ? price >= candle.close : price <= candle.close;
+
+      // A post-only order that would take liquidity is rejected
+      if (options.postOnly && crosses) {
+        return {
+          success: false,
+          error: "Post-only: la orden se ejecutaría inmediatamente",
+        };
+      }
+
+      this.orders.push({
+        orderId,
+        symbol,
+        side: orderSide,
+        positionSide: orderSide === "BUY" ? "LONG" : "SHORT",
+        type: "LIMIT",
+        status: "NEW",
+        price,
+        quantity: size,
+        executedQty: 0,
+        avgPrice: 0,
+        stopLoss,
+        takeProfit,
+      });
+
+      if (crosses) this.fillLimitOrders(symbol, candle, true);
+      return { success: true, orderId, symbol, side, quantity };
+    }
+
+    const fillPrice = this.applySlippage(orderSide, candle.close);
+    const position = this.fill(
+      symbol,
+      orderSide,
+      size,
+      fillPrice,
+      this.feeRate,
+      candle.time,
+      "MARKET",
+      orderId
+    );
+    this.attachOrders(position, stopLoss, takeProfit);
+
+    return { success: true, orderId, symbol, side, quantity };
+  }
+
+  /**
+   * Open or add to a position and book the fee
+   */
+  fill(symbol, orderSide, size, fillPrice, feeRate, time, type, orderId) {
+    const positionSide = orderSide === "BUY" ? "LONG" : "SHORT";
+    const fee = fillPrice * size * feeRate;
+
+    this.balance -= fee;
+
+    const existing = this.positions.find(
+      (pos) => pos.symbol === symbol && pos.side === positionSide
+    );
+
+    let position = existing;
+    if (existing) {
+      const totalSize = existing.size + size;
+      existing.entryPrice =
+        (existing.entryPrice * existing.size + fillPrice * size) / totalSize;
+      existing.size = totalSize;
+    } else {
+      position = {
+        positionId: String(this.nextId++),
+        symbol,
+        side: positionSide,
+        size,
+        entryPrice: fillPrice,
+        leverage: this.leverage[symbol] || 1,
+        openTime: time,
+        takeProfits: [],
+      };
+      this.positions.push(position);
+    }
+
+    this.history.push({
+      orderId,
+      positionId: position.positionId,
+      symbol,
+      side: orderSide,
+      positionSide: position.side,
+      type,
+      price: fillPrice,
+      quantity: size,
+      fee,
+      time,
+    });
+
+    return position;
+  }
+
+  /**
+   * Attach stop loss / take profit orders to a position
+   * Same payloads BingXAPI.placeOrder sends
+   */
+  attachOrders(position, stopLoss, takeProfit) {
+    if (takeProfit) {
+      position.takeProfits = [
+        {
+          orderId: String(this.nextId++),
+          type: "TAKE_PROFIT_MARKET",
+          stopPrice: parseFloat(takeProfit),
+          price: parseFloat(takeProfit),
+          workingType: "MARK_PRICE",
+          quantity: null, // Attached TP closes the whole position
+        },
+      ];
+    }
+    if (stopLoss) {
+      position.stopLoss = {
+        orderId: String(this.nextId++),
+        type: "STOP_MARKET",
+        stopPrice: parseFloat(stopLoss),
+        price: parseFloat(stopLoss),
+        workingType: "MARK_PRICE",
+      };
+    }
+  }
+
+  /**
+   * Fill resting limit orders the candle traded through.
+   * Marketable orders fill at once as takers.
+   */
+  fillLimitOrders(symbol, candle, marketable = false) {
+    for (const order of this.orders) {
+      if (order.symbol !== symbol || order.status !== "NEW") continue;
+
+      const isBuy = order.side === "BUY";
+      let price;
+      if (marketable) {
+        if (isBuy ? order.price < candle.close : order.price > candle.close) {
+          continue;
+        }
+        price = this.applySlippage(order.side, candle.close);
+      } else {
+        if (isBuy ? candle.low > order.price : candle.high < order.price) {
+          continue;
+        }
+        // A gap through the price fills at the (better) open
+        price = isBuy
+          ? Math.min(candle.open, order.price)
+          : Math.max(candle.open, order.price);
+      }
+
+      const position = this.fill(
+        symbol,
+        order.side,
+        order.quantity,
+        price,
+        marketable ? this.feeRate : this.makerFeeRate,
+        candle.time,
+        "LIMIT",
+        order.orderId
+      );
+      this.attachOrders(position, order.stopLoss, order.takeProfit);
+
+      order.status = "FILLED";
+      order.executedQty = order.quantity;
+      order.avgPrice = price;
+    }
+  }
+
+  /**
+   * Get the status of an order
+   */
+  async getOrder(symbol, orderId) {
+    const order = this.orders.find(
+      (o) => o.symbol === symbol && o.orderId === String(orderId)
+    );
+    if (order) {
+      const { stopLoss, takeProfit, ...details } = order;
+      return details;
+    }
+
+    const stopOrder = (await this.getOpenOrders(symbol)).find(
+      (o) => o.orderId === String(orderId)
+    );
+    if (stopOrder) {
+      return { ...stopOrder, status: "NEW", avgPrice: 0 };
+    }
+
+    // Market orders fill on placement
+    const fill = this.history.find((f) => f.orderId === String(orderId));
+    return fill
+      ? {
+          orderId: fill.orderId,
+          symbol: fill.symbol,
+          side: fill.side,
+          positionSide: fill.positionSide,
+          type: fill.type,
+          status: "FILLED",
+          price: fill.price,
+          quantity: fill.quantity,
+          executedQty: fill.quantity,
+          avgPrice: fill.price,
+        }
+      : null;
+  }
+
+  /**
+   * Cancel an open order
+   */
+  async cancelOrder(symbol, orderId) {
+    const id = String(orderId);
+    const order = this.orders.find(
+      (o) =>
+        o.symbol === symbol &&
+        o.orderId === id &&
+        (o.status === "NEW" || o.status === "PARTIALLY_FILLED")
+    );
+    if (order) {
+      order.status = "CANCELLED";
+      return { success: true, orderId: id };
+    }
+
+    // Stop loss / take profit orders live on their position
+    const position = this.positions.find(
+      (pos) =>
+        pos.symbol === symbol &&
+        (pos.stopLoss?.orderId === id ||
+          pos.takeProfits.some((o) => o.orderId === id))
+    );
+    if (!position) {
+      return { success: false, error: "Orden no encontrada o ya ejecutada" };
+    }
+
+    if (position.stopLoss?.orderId === id) position.stopLoss = null;
+    position.takeProfits = position.takeProfits.filter((o) => o.orderId !== id);
+    return { success: true, orderId: id };
+  }
+
+  /**
+   * Cancel every open order of a symbol
+   */
+  async cancelAllOrders(symbol) {
+    const orderIds = [];
+    for (const order of await this.getOpenOrders(symbol)) {
+      const result = await this.cancelOrder(symbol, order.orderId);
+      if (result.success) orderIds.push(order.orderId);
+    }
+    return { success: true, orderIds };
+  }
+
+  /**
+   * Modify the quantity and/or trigger price of an open stop loss / take
+   * profit order (it gets a new order ID, as on the exchange)
+   */
+  async amendOrder(symbol, orderId, changes = {}) {
+    const id = String(orderId);
+    const order = this.positions
+      .filter((pos) => pos.symbol === symbol)
+      .flatMap((pos) => [pos.stopLoss, ...pos.takeProfits])
+      .find((o) => o?.orderId === id);
+
+    if (!order) {
+      return { success: false, error: `Orden ${orderId} no encontrada` };
+    }
+
+    order.orderId = String(this.nextId++);
+    if (changes.stopPrice !== undefined) {
+      order.stopPrice = parseFloat(changes.stopPrice);
+      order.price = order.stopPrice;
+    }
+    if (changes.quantity !== undefined) {
+      order.quantity = parseFloat(changes.quantity);
+    }
+
+    return { success: true, orderId: order.orderId, replacedOrderId: id };
+  }
+
+  /**
+   * Close position by position ID
+   */
+  async closePosition(positionId) {
+    const position = this.positions.find(
+      (pos) => pos.positionId === positionId
+    );
+
+    if (!position) {
+      return { success: false, error: "Posición no encontrada" };
+    }
+
+    const candle = this.currentCandle(position.symbol);
+    const exitSide = position.side === "LONG" ? "SELL" : "BUY";
+    const orderId = this.settle(
+      position,
+      this.applySlippage(exitSide, candle.close),
+      candle.time,
+      "MARKET"
+    );
+
+    return { success: true, orderId, positionId };
+  }
+
+  /**
+   * Get the order fills recorded by the simulator
+   */
+  async getFilledOrders(symbol, { startTime = 0, endTime = Infinity } = {}) {
+    return this.history
+      .filter(
+        (fill) =>
+          (!symbol || fill.symbol === symbol) &&
+          fill.time >= startTime &&
+          fill.time <= endTime
+      )
+      .map((fill) => ({ ...fill, realizedProfit: fill.realizedProfit || 0 }));
+  }
+
+  /**
+   * Funding is not simulated
+   */
+  async getFundingFees() {
+    return [];
+  }
+
+  /**
+   * Get the resting limit orders and the pending stop loss / take profit
+   * orders of the open positions
+   */
+  async getOpenOrders(symbol) {
+    const limitOrders = this.orders
+      .filter(
+        (order) =>
+          (!symbol || order.symbol === symbol) &&
+          (order.status === "NEW" || order.status === "PARTIALLY_FILLED")
+      )
+      .map((order) => ({
+        orderId: order.orderId,
+        symbol: order.symbol,
+        side: order.side,
+        positionSide: order.positionSide,
+        type: order.type,
+        price: order.price,
+        stopPrice: null,
+        quantity: order.quantity,
+        executedQty: order.executedQty,
+      }));
+
+    const stopOrders = this.positions
+      .filter((pos) => !symbol || pos.symbol === symbol)
+      .flatMap((pos) =>
+        [pos.stopLoss, ...pos.takeProfits].filter(Boolean).map((order) => ({
+          orderId: order.orderId,
+          symbol: pos.symbol,
+          side: pos.side === "LONG" ? "SELL" : "BUY",
+          positionSide: pos.side,
+          type: order.type,
+          price: null,
+          stopPrice: order.stopPrice,
+          quantity: order.quantity ?? pos.size,
+          executedQty: 0,
+        }))
+      );
+
+    return [...limitOrders, ...stopOrders];
+  }
+
+  /**
+   * Place a take profit order for part of an open position
+   */
+  async placeTakeProfitOrder(symbol, positionSide, quantity, stopPrice) {
+    const position = this.positions.find(
+      (pos) => pos.symbol === symbol && pos.side === positionSide
+    );
+
+    if (!position) {
+      return { success: false, error: "Posición no encontrada" };
+    }
+
+    const orderId = String(this.nextId++);
+    position.takeProfits.push({
+      orderId,
+      type: "TAKE_PROFIT_MARKET",
+      stopPrice: parseFloat(stopPrice),
+      price: parseFloat(stopPrice),
+      workingType: "MARK_PRICE",
+      quantity: parseFloat(quantity),
+    });
+
+    return { success: true, orderId, symbol, quantity };
+  }
+
+  /**
+   * Replace the stop loss of an open position
+   */
+  async replaceStopLoss(symbol, positionSide, quantity, stopPrice) {
+    const position = this.positions.find(
+      (pos) => pos.symbol === symbol && pos.side === positionSide
+    );
+
+    if (!position) {
+      return { success: false, error: "Posición no encontrada" };
+    }
+
+    const orderId = String(this.nextId++);
+    position.stopLoss = {
+      orderId,
+      type: "STOP_MARKET",
+      stopPrice: parseFloat(stopPrice),
+      price: parseFloat(stopPrice),
+      workingType: "MARK_PRICE",
+    };
+
+    return { success: true, orderId };
+  }
+
+  /**
+   * Trading rules of a contract (the same for every simulated symbol)
+   */
+  async getContractSpec(symbol) {
+    return this.contract ? { symbol, ...this.contract } : null;
+  }
+
+  /**
+   * Set leverage for symbol
+   */
+  async setLeverage(symbol, leverage) {
+    this.leverage[symbol] = parseFloat(leverage);
+    return true;
+  }
+
+  /**
+   * Get the leverage set for a symbol (the same for both sides)
+   */
+  async getLeverage(symbol) {
+    const leverage = this.leverage[symbol] || 1;
+    return { long: leverage, short: leverage, maxLong: 125, maxShort: 125 };
+  }
+
+  /**
+   * Set margin type for symbol (only recorded, every position is isolated)
+   */
+  async setMarginType(symbol, marginType) {
+    this.marginTypes[symbol] = marginType;
+    return true;
+  }
+
+  /**
+   * Get the margin type of a symbol
+   */
+  async getMarginType(symbol) {
+    return this.marginTypes[symbol] || "ISOLATED";
+  }
+
+  /**
+   * Fill resting limit orders, then fire stop loss / take profit orders
+   * crossed by a new candle. When both are inside the same candle the stop
+   * loss fills first; take profit tranches fill nearest first.
+   */
+  checkTriggers(symbol, candle) {
+    this.fillLimitOrders(symbol, candle);
+
+    const triggered = this.positions.filter((pos) => pos.symbol === symbol);
+
+    for (const position of triggered) {
+      const isLong = position.side === "LONG";
+      const stop = position.stopLoss?.stopPrice;
+
+      if (stop && (isLong ? candle.low <= stop : candle.high >= stop)) {
+        this.settle(
+          position,
+          isLong ? Math.min(candle.open, stop) : Math.max(candle.open, stop),
+          candle.time,
+          "STOP_MARKET",
+          null,
+          stop
+        );
+        continue;
+      }
+
+      const targets = [...position.takeProfits].sort((a, b) =>
+        isLong ? a.stopPrice - b.stopPrice : b.stopPrice - a.stopPrice
+      );
+
+      for (const order of targets) {
+        const hit = isLong
+          ? candle.high >= order.stopPrice
+          : candle.low <= order.stopPrice;
+        if (!hit || !this.positions.includes(position)) break;
+
+        position.takeProfits = position.takeProfits.filter((o) => o !== order);
+        this.settle(
+          position,
+          isLong
+            ? Math.max(candle.open, order.stopPrice)
+            : Math.min(candle.open, order.stopPrice),
+          candle.time,
+          "TAKE_PROFIT_MARKET",
+          order.quantity,
+          order.stopPrice
+        );
+      }
+    }
+  }
+
+  /**
+   * Close (part of) a position at the given price and book the realized PnL
+   * stopPrice is the trigger price of a stop loss / take profit fill
+   */
+  settle(position, price, time, type, quantity = null, stopPrice = null) {
+    const size = Math.min(quantity ?? position.size, position.size);
+    const direction = position.side === "LONG" ? 1 : -1;
+    const pnl = (price - position.entryPrice) * size * direction;
+    const fee = price * size * this.feeRate;
+    const orderId = String(this.nextId++);
+
+    this.balance += pnl - fee;
+    position.size -= size;
+
+    // Guard against floating point dust left by partial closes
+    if (position.size <= 1e-12) {
+      this.positions = this.positions.filter((pos) => pos !== position);
+    }
+
+    this.history.push({
+      orderId,
+      positionId: position.positionId,
+      symbol: position.symbol,
+      side: position.side === "LONG" ? "SELL" : "BUY",
+      positionSide: position.side,
+      type,
+      price,
+      stopPrice,
+      quantity: size,
+      fee,
+      realizedProfit: pnl,
+      time,
+    });
+
+    if (type !== "MARKET") {
+      console.log(
+        `🎯 Simulador: ${type} ejecutado en ${
+          position.symbol
+        } @ $${price.toFixed(2)} (P&L: $${pnl.toFixed(2)})`
+      );
+    }
+
+    return orderId;
+  }
+
+  /**
+   * Mark-to-market PnL at the current candle close
+   */
+  unrealizedProfit(position) {
+    const candle = this.currentCandle(position.symbol);
+    if (!candle) return 0;
+
+    const direction = position.side === "LONG" ? 1 : -1;
+    return (candle.close - position.entryPrice) * position.size * direction;
+  }
+
+  /**
+   * Move a market fill against us by the configured slippage
+   */
+  applySlippage(side, price) {
+    return side === "BUY"
+      ? price * (1 + this.slippage)
+      : price * (1 - this.slippage);
+  }
+}
+
+module.exports = SimulatedExchange;
@@ -0,0 +1,44 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * State Store
+ * Persists the bot state (daily counters, open trade metadata) to a local
+ * JSON file. Writes go to a temporary file that is then renamed into place,
+ * so a crash mid-write never leaves a truncated state file.
+ */
+class StateStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Read the saved state, or null if there is none (or it is unreadable)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      console.error(
+        `⚠️ Archivo de estado ilegible (${this.filePath}): ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Replace the saved state
+   */
+  save(state) {
+    const tempFile = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tempFile,
+      JSON.stringify({ ...state, savedAt: new Date().toISOString() }, null, 2)
+    );
+    fs.renameSync(tempFile, this.filePath);
+  }
+}
+
+module.exports = StateStore;
@@ -1,31 +1,70 @@
 const Indicators = require("../indicators");
+const { IndicatorEngine } = require("../indicator-engine");
 
 /**
  * Base Strategy Class
  * Provides common functionality and template methods for trading strategies
  *
  * To create a new strategy:
- * 1. Extend this class
+ * 1. Extend this class in a new file in strategies/ (picked up by the registry)
  * 2. Override checkLongEntry() and checkShortEntry() methods
  * 3. Optionally override shouldExitOnIndicator() for custom exit logic
+ * 4. Optionally declare static defaultParams / requiredParams, which can be
+ *    overridden from config.strategy.params or the --params flag
+ * 5. Optionally override getTimeframes() to also receive the indicators of
+ *    higher timeframes (e.g. "4h") in the entry checks
+ * 6. Optionally override getIndicators() to request optional indicators
+ *    (e.g. ["adx", "supertrend"]), configured under config.indicators
+ *
+ * Entry checks get the values at the last candle; indicators.series has the
+ * full series for questions like "bars since the EMA cross" (see series.js).
  */
 class BaseStrategy {
-  constructor(name = "BaseStrategy") {
+  static defaultParams = {};
+  static requiredParams = [];
+
+  constructor(name = "BaseStrategy", params = {}) {
     this.name = name;
+    this.params = { ...this.constructor.defaultParams, ...params };
+    this.engines = {}; // Incremental indicator engines by timeframe
+  }
+
+  /**
+   * Optional indicators to compute besides the core ones (see
+   * Indicators.listOptional())
+   */
+  getIndicators() {
+    return [];
+  }
+
+  /**
+   * Timeframes besides config.interval whose candles analyze() needs
+   */
+  getTimeframes() {
+    return [];
   }
 
   /**
    * Template method for analyzing market conditions
    * Override this if you need custom analysis flow
+   *
+   * @param {Array} candles - Candles of config.interval
+   * @param {Object} timeframeCandles - Closed candles by timeframe, for the
+   *                                    timeframes from getTimeframes()
    */
-  analyze(candles, config) {
+  analyze(candles, config, timeframeCandles = {}) {
     const indicators = this.computeIndicators(candles, config);
+    const timeframes = this.computeTimeframeIndicators(
+      timeframeCandles,
+      config
+    );
 
-    const longSignal = this.checkLongEntry(indicators, config);
-    const shortSignal = this.checkShortEntry(indicators, config);
+    const longSignal = this.checkLongEntry(indicators, config, timeframes);
+    const shortSignal = this.checkShortEntry(indicators, config, timeframes);
 
     return {
       indicators,
+      timeframes,
       longSignal,
       shortSignal,
       timestamp: new Date().toISOString(),
@@ -37,15 +76,44 @@ class BaseStrategy {
    * Compute technical indicators
    * Override this if you need custom indicators
    */
-  computeIndicators(candles, config) {
-    return Indicators.computeAll(candles, config);
+  computeIndicators(candles, config, timeframe = "base") {
+    if (!config.indicators.incremental) {
+      return Indicators.computeAll(candles, config, this.getIndicators());
+    }
+
+    let engine = this.engines[timeframe];
+    if (!engine || engine.config !== config) {
+      engine = this.engines[timeframe] = new IndicatorEngine(config);
+    }
+
+    const optional = this.getIndicators();
+    const indicators = {
+      ...engine.sync(candles),
+      ...Indicators.computeOptional(candles, config, optional),
+    };
+    return Indicators.attachSeries(indicators, candles, config, optional);
+  }
+
+  /**
+   * Indicators keyed by timeframe (null without candles for a timeframe)
+   */
+  computeTimeframeIndicators(timeframeCandles, config) {
+    const timeframes = {};
+    for (const timeframe of this.getTimeframes()) {
+      const candles = timeframeCandles[timeframe];
+      timeframes[timeframe] =
+        candles && candles.length > 0
+          ? this.computeIndicators(candles, config, timeframe)
+          : null;
+    }
+    return timeframes;
   }
 
   /**
    * Check LONG entry conditions
    * MUST be overridden by child classes
    */
-  checkLongEntry(indicators, config) {
+  checkLongEntry(indicators, config, timeframes) {
     throw new Error(
       `${this.name}: checkLongEntry() must be implemented by child class`
     );
@@ -55,7 +123,7 @@ class BaseStrategy {
    * Check SHORT entry conditions
    * MUST be overridden by child classes
    */
-  checkShortEntry(indicators, config) {
+  checkShortEntry(indicators, config, timeframes) {
     throw new Error(
       `${this.name}: checkShortEntry() must be implemented by child class`
     );
@@ -140,13 +208,46 @@ class BaseStrategy {
     return null;
   }
 
+  /**
+   * Calculate the take profit ladder (scale-out targets)
+   * Each tranche closes `percent` of the position at `r` × stop distance;
+   * a tranche with r = null has no target and is left to the stop/trailing.
+   * Without risk.takeProfitLadder a single 100% target is returned.
+   *
+   * @returns {Array} [{ r, percent, price }]
+   */
+  calculateTakeProfitLadder(type, entryPrice, stopLoss, config) {
+    const ladder = config.risk.takeProfitLadder;
+
+    if (!ladder || ladder.length === 0) {
+      return [
+        {
+          r: config.risk.takeProfitMultiplier,
+          percent: 100,
+          price: this.calculateTakeProfit(type, entryPrice, stopLoss, config),
+        },
+      ];
+    }
+
+    return ladder.map((tranche) => ({
+      r: tranche.r,
+      percent: tranche.percent,
+      price:
+        tranche.r === null
+          ? null
+          : this.calculateTakeProfit(type, entryPrice, stopLoss, {
+              ...config,
+              risk: { ...config.risk, takeProfitMultiplier: tranche.r },
+            }),
+    }));
+  }
+
   /**
    * Check if within trading hours
    */
-  isWithinTradingHours(config) {
+  isWithinTradingHours(config, now = new Date()) {
     if (!config.tradingHours.enabled) return true;
 
-    const now = new Date();
     const currentHour = now.getUTCHours();
 
     return (
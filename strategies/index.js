@@ -0,0 +1,124 @@
+const fs = require("fs");
+const path = require("path");
+const BaseStrategy = require("./base");
+const Indicators = require("../indicators");
+
+/**
+ * Strategy Registry
+ * Discovers every BaseStrategy subclass in this directory and creates
+ * instances by name. A strategy is registered under its file name
+ * (e.g. "trend-breakout") and its class name (e.g. "TrendBreakoutStrategy").
+ */
+const registry = {};
+
+for (const file of fs.readdirSync(__dirname)) {
+  if (!file.endsWith(".js") || file === "index.js" || file === "base.js") {
+    continue;
+  }
+
+  const StrategyClass = require(path.join(__dirname, file));
+  if (
+    typeof StrategyClass === "function" &&
+    StrategyClass.prototype instanceof BaseStrategy
+  ) {
+    registry[path.basename(file, ".js")] = StrategyClass;
+  }
+}
+
+/**
+ * Names of all registered strategies
+ */
+function listStrategies() {
+  return Object.keys(registry);
+}
+
+/**
+ * Look up a strategy class by file or class name (case-insensitive)
+ */
+function getStrategyClass(name) {
+  const wanted = String(name).toLowerCase();
+  const key = Object.keys(registry).find(
+    (k) => k === wanted || registry[k].name.toLowerCase() === wanted
+  );
+  return key ? registry[key] : null;
+}
+
+/**
+ * Create a strategy instance, failing fast on unknown names or params
+ */
+function createStrategy(name, params = {}) {
+  const StrategyClass = getStrategyClass(name);
+  if (!StrategyClass) {
+    throw new Error(
+      `Estrategia desconocida "${name}". Disponibles: ${listStrategies().join(
+        ", "
+      )}`
+    );
+  }
+
+  const defaults = StrategyClass.defaultParams || {};
+  const required = StrategyClass.requiredParams || [];
+
+  const unknown = Object.keys(params).filter(
+    (key) => !(key in defaults) && !required.includes(key)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Parámetros desconocidos para ${name}: ${unknown.join(
+        ", "
+      )}. Aceptados: ${
+        [...Object.keys(defaults), ...required].join(", ") || "ninguno"
+      }`
+    );
+  }
+
+  const missing = required.filter((key) => params[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(
+      `Faltan parámetros obligatorios para ${name}: ${missing.join(", ")}`
+    );
+  }
+
+  const strategy = new StrategyClass(params);
+
+  const unknownIndicators = strategy
+    .getIndicators()
+    .filter((indicator) => !Indicators.listOptional().includes(indicator));
+  if (unknownIndicators.length > 0) {
+    throw new Error(
+      `Indicadores desconocidos en ${name}: ${unknownIndicators.join(
+        ", "
+      )}. Disponibles: ${Indicators.listOptional().join(", ")}`
+    );
+  }
+
+  return strategy;
+}
+
+/**
+ * Strategy name and params for a symbol (config.strategy.perSymbol wins)
+ */
+function resolveStrategyConfig(symbol, config) {
+  const base = config.strategy || {};
+  const override = base.perSymbol?.[symbol];
+
+  if (override) {
+    const sameStrategy = !override.name || override.name === base.name;
+    return {
+      name: override.name || base.name,
+      params: {
+        ...(sameStrategy ? base.params : {}),
+        ...override.params,
+      },
+    };
+  }
+
+  return { name: base.name, params: { ...base.params } };
+}
+
+module.exports = {
+  listStrategies,
+  getStrategyClass,
+  createStrategy,
+  resolveStrategyConfig,
+};
@@ -1,4 +1,5 @@
 const BaseStrategy = require("./base");
+const CandleCache = require("../candle-cache");
 
 /**
  * Trend Breakout Strategy
@@ -18,17 +19,64 @@ const BaseStrategy = require("./base");
  * 4. RSI > 30 (not oversold)
  * 5. Volume confirmation
  *
- * Minimum 3 out of 5 conditions must be met for a signal
+ * At least params.minConditions out of 5 conditions must be met for a signal.
+ * With params.higherTimeframe (e.g. "4h") the EMA trend of that timeframe
+ * must also agree with the trade direction.
  */
 class TrendBreakoutStrategy extends BaseStrategy {
-  constructor() {
-    super("TrendBreakoutStrategy");
+  static defaultParams = {
+    minConditions: 5, // Conditions (out of 5) required for a signal
+    higherTimeframe: null, // e.g. "4h": only trade with that timeframe's EMA trend
+  };
+
+  constructor(params = {}) {
+    super("TrendBreakoutStrategy", params);
+
+    const timeframe = this.params.higherTimeframe;
+    if (timeframe && !CandleCache.intervalToMs(timeframe)) {
+      throw new Error(`Temporalidad desconocida: ${timeframe}`);
+    }
+  }
+
+  /**
+   * The higher timeframe of the trend filter, if enabled
+   */
+  getTimeframes() {
+    return this.params.higherTimeframe ? [this.params.higherTimeframe] : [];
+  }
+
+  /**
+   * Higher-timeframe trend filter: { met, message }, or null when disabled
+   */
+  checkHigherTimeframe(type, timeframes = {}) {
+    const timeframe = this.params.higherTimeframe;
+    if (!timeframe) return null;
+
+    const higher = timeframes[timeframe];
+    if (!higher?.emaFast || !higher?.emaSlow) {
+      return {
+        met: false,
+        message: `✗ Datos insuficientes para la tendencia ${timeframe}`,
+      };
+    }
+
+    const emas = `EMA20: ${higher.emaFast.toFixed(
+      2
+    )} / EMA50: ${higher.emaSlow.toFixed(2)}`;
+    const agrees =
+      type === "LONG"
+        ? this.isUptrend(higher.emaFast, higher.emaSlow)
+        : this.isDowntrend(higher.emaFast, higher.emaSlow);
+
+    return agrees
+      ? { met: true, message: `✓ Tendencia ${timeframe} a favor (${emas})` }
+      : { met: false, message: `✗ Tendencia ${timeframe} en contra (${emas})` };
   }
 
   /**
    * Check LONG entry conditions
    */
-  checkLongEntry(indicators, config) {
+  checkLongEntry(indicators, config, timeframes) {
     // Validate indicators
     if (!this.validateIndicators(indicators)) {
       return this.createSignalResponse(
@@ -85,14 +133,16 @@ class TrendBreakoutStrategy extends BaseStrategy {
     ];
 
     const result = this.checkConditions(conditions);
+    const trend = this.checkHigherTimeframe("LONG", timeframes);
 
-    // Minimum 3 conditions must be met
-    const signal = result.passed >= 5;
+    // Minimum number of conditions must be met, with the higher timeframe
+    const signal =
+      result.passed >= this.params.minConditions && trend?.met !== false;
 
     return this.createSignalResponse(
       signal,
       "LONG",
-      result.allReasons,
+      trend ? [...result.allReasons, trend.message] : result.allReasons,
       indicators
     );
   }
@@ -100,7 +150,7 @@ class TrendBreakoutStrategy extends BaseStrategy {
   /**
    * Check SHORT entry conditions
    */
-  checkShortEntry(indicators, config) {
+  checkShortEntry(indicators, config, timeframes) {
     // Validate indicators
     if (!this.validateIndicators(indicators)) {
       return this.createSignalResponse(
@@ -157,14 +207,16 @@ class TrendBreakoutStrategy extends BaseStrategy {
     ];
 
     const result = this.checkConditions(conditions);
+    const trend = this.checkHigherTimeframe("SHORT", timeframes);
 
-    // Minimum 3 conditions must be met
-    const signal = result.passed >= 5;
+    // Minimum number of conditions must be met, with the higher timeframe
+    const signal =
+      result.passed >= this.params.minConditions && trend?.met !== false;
 
     return this.createSignalResponse(
       signal,
       "SHORT",
-      result.allReasons,
+      trend ? [...result.allReasons, trend.message] : result.allReasons,
       indicators
     );
   }
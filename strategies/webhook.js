@@ -0,0 +1,203 @@
+const BaseStrategy = require("./base");
+
+/**
+ * Webhook Strategy
+ * Takes its signals from external alerts (e.g. TradingView) received by the
+ * SignalServer instead of computing them from the candles. Indicators are
+ * still computed for the entry price and ATR-based stops, and the signals
+ * go through the same risk checks, daily limits and trading hours as any
+ * other strategy.
+ *
+ * Alert: { id, symbol, side: LONG | SHORT | CLOSE, stopLoss?, takeProfit?,
+ *          atrMultiple?, timestamp? }
+ * - stopLoss / takeProfit: absolute prices used instead of the computed ones
+ * - atrMultiple: stop at atrMultiple × ATR from the entry
+ * - CLOSE exits the open position
+ *
+ * Only the newest alert not yet expired is acted upon. It stays queued
+ * until the bot acts on it (see acknowledgeAlert) or it expires, so an
+ * alert that arrives while the bot can't use it (a limit entry still
+ * working, outside trading hours, CLOSE without a position yet) is not lost.
+ */
+class WebhookStrategy extends BaseStrategy {
+  static defaultParams = {
+    exitOnIndicator: false, // Also exit on the base MACD cross rule
+  };
+
+  constructor(params = {}) {
+    super("WebhookStrategy", params);
+    this.alerts = []; // Received and not yet acted upon, oldest first
+    this.activeAlert = null; // Alert behind the signals of the last analysis
+  }
+
+  /**
+   * Queue an alert validated by the SignalServer
+   */
+  receiveAlert(alert) {
+    this.alerts.push(alert);
+  }
+
+  /**
+   * The newest alert that has not expired, dropping older and expired ones
+   * (it stays queued)
+   */
+  nextAlert(now = Date.now()) {
+    this.alerts = this.alerts
+      .filter((alert) => alert.expiresAt > now)
+      .slice(-1);
+    return this.alerts[0] || null;
+  }
+
+  /**
+   * The bot acted on an alert (entry checked, or position closed): drop it
+   */
+  acknowledgeAlert(alert) {
+    this.alerts = this.alerts.filter((queued) => queued !== alert);
+  }
+
+  /**
+   * Signals from the pending alert instead of the indicators
+   */
+  analyze(candles, config) {
+    const indicators = this.computeIndicators(candles, config);
+    const alert = this.nextAlert();
+    this.activeAlert = alert;
+
+    const longSignal = this.checkAlert("LONG", alert, indicators);
+    const shortSignal = this.checkAlert("SHORT", alert, indicators);
+
+    return {
+      indicators,
+      longSignal,
+      shortSignal,
+      alert,
+      timestamp: new Date().toISOString(),
+      strategy: this.name,
+    };
+  }
+
+  /**
+   * Signal for one side from the alert, rejecting stops and targets on the
+   * wrong side of the current price
+   */
+  checkAlert(type, alert, indicators) {
+    if (!alert) {
+      return this.createSignalResponse(
+        false,
+        type,
+        ["✗ Sin alertas pendientes"],
+        indicators
+      );
+    }
+    if (alert.side !== type) {
+      return this.createSignalResponse(false, type, [], indicators);
+    }
+    if (!indicators.currentPrice || !indicators.atr) {
+      return this.createSignalResponse(
+        false,
+        type,
+        ["Datos insuficientes para análisis"],
+        indicators
+      );
+    }
+
+    const price = indicators.currentPrice;
+    const direction = type === "LONG" ? 1 : -1;
+    const reasons = [`✓ Alerta ${alert.id} (${type})`];
+
+    if (alert.stopLoss && (price - alert.stopLoss) * direction <= 0) {
+      reasons.push(
+        `✗ Stop loss de la alerta ($${
+          alert.stopLoss
+        }) al otro lado del precio ($${price.toFixed(2)})`
+      );
+      return this.createSignalResponse(false, type, reasons, indicators);
+    }
+    if (alert.takeProfit && (alert.takeProfit - price) * direction <= 0) {
+      reasons.push(
+        `✗ Take profit de la alerta ($${
+          alert.takeProfit
+        }) al otro lado del precio ($${price.toFixed(2)})`
+      );
+      return this.createSignalResponse(false, type, reasons, indicators);
+    }
+
+    return this.createSignalResponse(true, type, reasons, indicators);
+  }
+
+  /**
+   * Exit on a CLOSE alert (and on the base rule if params.exitOnIndicator)
+   */
+  shouldExitOnIndicator(position, indicators) {
+    if (this.activeAlert?.side === "CLOSE") {
+      return { exit: true, reason: `Alerta ${this.activeAlert.id} (CLOSE)` };
+    }
+
+    return this.params.exitOnIndicator
+      ? super.shouldExitOnIndicator(position, indicators)
+      : { exit: false };
+  }
+
+  /**
+   * Stop loss from the alert: its price, or atrMultiple × ATR from the entry
+   */
+  calculateStopLoss(type, currentPrice, atr, swingLow, swingHigh, config) {
+    const alert = this.activeAlert;
+
+    if (alert?.stopLoss) return alert.stopLoss;
+    if (alert?.atrMultiple) {
+      const distance = atr * alert.atrMultiple;
+      return type === "LONG"
+        ? currentPrice - distance
+        : currentPrice + distance;
+    }
+
+    return super.calculateStopLoss(
+      type,
+      currentPrice,
+      atr,
+      swingLow,
+      swingHigh,
+      config
+    );
+  }
+
+  /**
+   * Take profit from the alert when it has one
+   */
+  calculateTakeProfit(type, entryPrice, stopLoss, config) {
+    return (
+      this.activeAlert?.takeProfit ||
+      super.calculateTakeProfit(type, entryPrice, stopLoss, config)
+    );
+  }
+
+  /**
+   * An alert with its own take profit closes the whole position there
+   */
+  calculateTakeProfitLadder(type, entryPrice, stopLoss, config) {
+    const target = this.activeAlert?.takeProfit;
+    if (!target) {
+      return super.calculateTakeProfitLadder(
+        type,
+        entryPrice,
+        stopLoss,
+        config
+      );
+    }
+
+    return [
+      {
+        r: Number(
+          (
+            Math.abs(target - entryPrice) / Math.abs(entryPrice - stopLoss)
+          ).toFixed(2)
+        ),
+        percent: 100,
+        price: target,
+      },
+    ];
+  }
+}
+
+module.exports = WebhookStrategy;
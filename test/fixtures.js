@@ -0,0 +1,28 @@
+/**
+ * Random-walk candles from a fixed seed, so every run sees the same data
+ */
+function makeCandles(count, seed = 42) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  const candles = [];
+  let close = 100;
+  for (let i = 0; i < count; i++) {
+    const open = close;
+    close = Math.max(1, open + (random() - 0.5) * 2);
+    candles.push({
+      time: 1735689600000 + i * 900000,
+      open,
+      high: Math.max(open, close) + random(),
+      low: Math.min(open, close) - random(),
+      close,
+      volume: 100 + random() * 900,
+    });
+  }
+  return candles;
+}
+
+module.exports = { makeCandles };
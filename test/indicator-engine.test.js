@@ -0,0 +1,157 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { EMA, WEMA, RSI, ATR, MACD } = require("technicalindicators");
+const config = require("../config");
+const Indicators = require("../indicators");
+const {
+  IndicatorEngine,
+  IncrementalEMA,
+  IncrementalRSI,
+  IncrementalATR,
+  IncrementalMACD,
+} = require("../indicator-engine");
+const { makeCandles } = require("./fixtures");
+
+const candles = makeCandles(300);
+const closes = candles.map((c) => c.close);
+
+// Values of an incremental indicator after each input, nulls dropped so
+// they line up with the technicalindicators output
+function run(indicator, inputs) {
+  return inputs
+    .map((input) => indicator.update(input))
+    .filter((value) => value !== null);
+}
+
+test("IncrementalEMA matches EMA", () => {
+  assert.deepStrictEqual(
+    run(new IncrementalEMA(20), closes),
+    EMA.calculate({ period: 20, values: closes })
+  );
+});
+
+test("IncrementalEMA with alpha 1/period matches WEMA", () => {
+  assert.deepStrictEqual(
+    run(new IncrementalEMA(14, 1 / 14), closes),
+    WEMA.calculate({ period: 14, values: closes })
+  );
+});
+
+test("IncrementalRSI matches RSI", () => {
+  assert.deepStrictEqual(
+    run(new IncrementalRSI(14), closes),
+    RSI.calculate({ period: 14, values: closes })
+  );
+});
+
+test("IncrementalATR matches ATR", () => {
+  assert.deepStrictEqual(
+    run(new IncrementalATR(14), candles),
+    ATR.calculate({
+      period: 14,
+      high: candles.map((c) => c.high),
+      low: candles.map((c) => c.low),
+      close: closes,
+    })
+  );
+});
+
+test("IncrementalMACD matches MACD", () => {
+  const expected = MACD.calculate({
+    values: closes,
+    fastPeriod: 12,
+    slowPeriod: 26,
+    signalPeriod: 9,
+    SimpleMAOscillator: false,
+    SimpleMASignal: false,
+  }).filter((entry) => entry.signal !== undefined);
+
+  const actual = run(new IncrementalMACD(12, 26, 9), closes);
+
+  // The incremental value starts one candle later, when the previous
+  // entry needed for the crosses has a signal too
+  assert.deepStrictEqual(
+    actual.map(({ macd, signal, histogram }) => ({
+      MACD: macd,
+      signal,
+      histogram,
+    })),
+    expected.slice(1)
+  );
+});
+
+test("preview leaves the state untouched", () => {
+  const rsi = new IncrementalRSI(14);
+  closes.slice(0, 50).forEach((close) => rsi.update(close));
+
+  const before = rsi.value;
+  const previewed = rsi.preview(closes[50]);
+
+  assert.strictEqual(rsi.value, before);
+  assert.strictEqual(rsi.update(closes[50]), previewed);
+});
+
+test("IndicatorEngine.sync matches computeAll for growing prefixes", () => {
+  const engine = new IndicatorEngine(config);
+
+  for (let n = 1; n <= candles.length; n++) {
+    const prefix = candles.slice(0, n);
+    assert.deepStrictEqual(
+      engine.sync(prefix),
+      Indicators.computeAll(prefix, config),
+      `${n} candles`
+    );
+  }
+});
+
+test("IndicatorEngine previews the forming candle without committing it", () => {
+  const engine = new IndicatorEngine(config);
+  const closed = candles.slice(0, 200);
+  closed.forEach((candle) => engine.update(candle));
+
+  const forming = {
+    ...candles[200],
+    close: candles[200].close * 1.01,
+    high: candles[200].high * 1.02,
+  };
+  assert.deepStrictEqual(
+    engine.preview(forming),
+    Indicators.computeAll([...closed, forming], config)
+  );
+
+  // The final version of the candle replaces the preview
+  const next = candles.slice(0, 201);
+  assert.deepStrictEqual(
+    engine.sync([...next, candles[201]]),
+    Indicators.computeAll([...next, candles[201]], config)
+  );
+});
+
+test("IndicatorEngine rebuilds after a rewind or a gap", () => {
+  const engine = new IndicatorEngine(config);
+  engine.sync(candles.slice(0, 250));
+
+  const rewound = candles.slice(0, 120);
+  assert.deepStrictEqual(
+    engine.sync(rewound),
+    Indicators.computeAll(rewound, config)
+  );
+
+  const gapped = candles.slice(180, 300);
+  assert.deepStrictEqual(
+    engine.sync(gapped),
+    Indicators.computeAll(gapped, config)
+  );
+});
+
+test("IndicatorEngine follows a sliding window like computeAll over the whole history", () => {
+  const engine = new IndicatorEngine(config);
+
+  for (let n = 100; n <= candles.length; n += 5) {
+    assert.deepStrictEqual(
+      engine.sync(candles.slice(n - 100, n)),
+      Indicators.computeAll(candles.slice(0, n), config),
+      `${n} candles`
+    );
+  }
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const MarketDataStream = require("../market-stream");
+
+function frame(message) {
+  return zlib.gzipSync(JSON.stringify(message));
+}
+
+function kline(time, close) {
+  return { T: time, o: "100", h: "101", l: "99", c: String(close), v: "5" };
+}
+
+test("kline and mark price frames update the stream", () => {
+  const stream = new MarketDataStream(null);
+  stream.subscribe("BTC-USDT", "15m");
+  const closed = [];
+  stream.on("candleClose", (symbol, interval, candle) => closed.push(candle));
+
+  stream.handleMessage(
+    frame({ dataType: "BTC-USDT@kline_15m", data: [kline(1, 100.5)] })
+  );
+  stream.handleMessage(
+    frame({ dataType: "BTC-USDT@kline_15m", data: [kline(2, 100.7)] })
+  );
+  stream.handleMessage(
+    frame({ dataType: "BTC-USDT@markPrice", data: { p: "100.6" } })
+  );
+
+  assert.deepStrictEqual(
+    stream.getCandles("BTC-USDT", "15m").map((c) => c.close),
+    [100.5, 100.7]
+  );
+  assert.strictEqual(closed.length, 1);
+  assert.strictEqual(stream.getMarkPrice("BTC-USDT"), 100.6);
+});
+
+test("malformed frames are dropped without throwing", (t) => {
+  const errors = t.mock.method(console, "error", () => {});
+  const stream = new MarketDataStream(null);
+  stream.subscribe("BTC-USDT", "15m");
+
+  assert.doesNotThrow(() => {
+    stream.handleMessage(frame({ dataType: "BTC-USDT", data: {} }));
+    stream.handleMessage(frame({ dataType: 42, data: {} }));
+    stream.handleMessage(frame({ dataType: "BTC-USDT@markPrice", data: {} }));
+    stream.handleMessage(
+      frame({ dataType: "BTC-USDT@kline_15m", data: [null] })
+    );
+    stream.handleMessage(Buffer.from("not json"));
+  });
+
+  assert.strictEqual(errors.mock.callCount(), 1);
+  assert.deepStrictEqual(stream.getCandles("BTC-USDT", "15m"), null);
+});
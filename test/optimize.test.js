@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Optimizer } = require("../optimize");
+
+function result(name, summary) {
+  return { params: { name }, summary: { totalTrades: 10, ...summary } };
+}
+
+test("results are ranked by the metric, Infinity included", () => {
+  const optimizer = new Optimizer({ metric: "profitFactor", minTrades: 5 });
+
+  const ranked = optimizer.rank([
+    result("a", { profitFactor: 1.5 }),
+    result("b", { profitFactor: Infinity }),
+    result("c", { profitFactor: 0 }),
+    result("d", { profitFactor: Infinity, totalTrades: 2 }),
+    result("e", { profitFactor: Infinity }),
+  ]);
+
+  assert.deepStrictEqual(
+    ranked.map((r) => r.params.name),
+    ["b", "e", "a", "c", "d"]
+  );
+});
+
+test("drawdown ranks lowest first", () => {
+  const optimizer = new Optimizer({ metric: "maxDrawdownPct", minTrades: 0 });
+
+  const ranked = optimizer.rank([
+    result("a", { maxDrawdownPct: 12 }),
+    result("b", { maxDrawdownPct: 3 }),
+    result("c", { maxDrawdownPct: 7 }),
+  ]);
+
+  assert.deepStrictEqual(
+    ranked.map((r) => r.params.name),
+    ["b", "c", "a"]
+  );
+});
+
+test("metrics that are not in the backtest summary are rejected", () => {
+  assert.throws(
+    () => new Optimizer({ metric: "profitfactor" }),
+    /Métrica desconocida "profitfactor"/
+  );
+  assert.throws(() => new Optimizer({ metric: "strategy" }));
+});
@@ -0,0 +1,183 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const RiskManager = require("../risk-manager");
+
+const MINUTE = 60000;
+const NOON = new Date(2025, 0, 10, 12, 0);
+
+function at(minutes) {
+  return new Date(NOON.getTime() + minutes * MINUTE);
+}
+
+function riskManager(circuitBreaker = {}) {
+  return new RiskManager(
+    {
+      risk: { riskPercentage: 2, maxTradesPerDay: 3 },
+      circuitBreaker: {
+        enabled: true,
+        maxDailyLossUSDT: 50,
+        maxConsecutiveLosses: 3,
+        maxDrawdownPercent: 10,
+        cooldownMinutes: 60,
+        ...circuitBreaker,
+      },
+    },
+    { log() {}, error() {} }
+  );
+}
+
+test("the daily loss guard trips and holds until the next day", () => {
+  const risk = riskManager();
+
+  assert.strictEqual(risk.recordRealizedPnl(-30, at(0)), null);
+  assert.strictEqual(risk.recordRealizedPnl(10, at(5)), null);
+  const halt = risk.recordRealizedPnl(-35, at(10));
+
+  assert.strictEqual(halt.guard, "dailyLoss");
+  assert.strictEqual(halt.until, new Date(2025, 0, 11).getTime());
+  assert.strictEqual(risk.isHalted(at(90)), true);
+  assert.strictEqual(risk.isHalted(new Date(2025, 0, 11)), false);
+});
+
+test("the losing streak guard trips after consecutive losses", () => {
+  const risk = riskManager({ maxDailyLossUSDT: 0 });
+
+  risk.recordRealizedPnl(-1, at(0));
+  risk.recordRealizedPnl(-1, at(1));
+  assert.strictEqual(risk.recordRealizedPnl(2, at(2)), null);
+  risk.recordRealizedPnl(-1, at(3));
+  risk.recordRealizedPnl(-1, at(4));
+  const halt = risk.recordRealizedPnl(-1, at(5));
+
+  assert.strictEqual(halt.guard, "consecutiveLosses");
+  assert.strictEqual(halt.until, at(65).getTime());
+});
+
+test("the drawdown guard trips from the equity high-water mark", () => {
+  const risk = riskManager();
+
+  risk.updateEquity(1000, at(0));
+  risk.updateEquity(1100, at(1));
+  assert.strictEqual(risk.updateEquity(995, at(2)), null);
+  const halt = risk.updateEquity(989, at(3));
+
+  assert.strictEqual(halt.guard, "maxDrawdown");
+  assert.strictEqual(risk.equityHighWaterMark, 1100);
+});
+
+test("the breaker re-arms after the cooldown keeping the day's PnL and high-water mark", () => {
+  const risk = riskManager({ maxDailyLossUSDT: 0 });
+  risk.updateEquity(1000, at(0));
+  risk.recordRealizedPnl(-1, at(1));
+  risk.recordRealizedPnl(-1, at(2));
+  risk.recordRealizedPnl(-1, at(3));
+
+  assert.strictEqual(risk.isHalted(at(62)), true);
+  assert.strictEqual(risk.isHalted(at(63)), false);
+  assert.strictEqual(risk.halt, null);
+  assert.strictEqual(risk.consecutiveLosses, 0);
+  assert.strictEqual(risk.dailyRealizedPnl, -3);
+  assert.strictEqual(risk.equityHighWaterMark, 1000);
+
+  // A guard that is still exceeded trips again
+  assert.strictEqual(risk.updateEquity(890, at(64)).guard, "maxDrawdown");
+  assert.strictEqual(risk.isHalted(at(124)), false);
+  assert.strictEqual(risk.updateEquity(890, at(125)).guard, "maxDrawdown");
+});
+
+test("without a cooldown the breaker waits for a manual re-arm", () => {
+  const risk = riskManager({ cooldownMinutes: 0 });
+  risk.recordRealizedPnl(-60, at(0));
+
+  assert.strictEqual(risk.halt.until, null);
+  assert.strictEqual(risk.isHalted(at(7 * 24 * 60)), true);
+});
+
+test("a manual re-arm starts the loss counters and drawdown over", () => {
+  const risk = riskManager();
+  risk.updateEquity(1000, at(0));
+  risk.recordRealizedPnl(-60, at(1));
+  risk.updateEquity(880, at(2));
+
+  risk.rearm();
+
+  assert.strictEqual(risk.isHalted(at(3)), false);
+  assert.strictEqual(risk.dailyRealizedPnl, 0);
+  assert.strictEqual(risk.consecutiveLosses, 0);
+  assert.strictEqual(risk.dayStartEquity, 880);
+  assert.strictEqual(risk.equityHighWaterMark, 880);
+  assert.strictEqual(risk.updateEquity(880, at(4)), null);
+  assert.strictEqual(risk.recordRealizedPnl(-10, at(5)), null);
+});
+
+test("a disabled breaker never trips", () => {
+  const risk = riskManager({ enabled: false });
+
+  assert.strictEqual(risk.recordRealizedPnl(-500, at(0)), null);
+  assert.strictEqual(risk.isHalted(at(1)), false);
+});
+
+const SPEC = {
+  quantityStep: 0.001,
+  tickSize: 0.1,
+  minQuantity: 0.002,
+  minNotional: 5,
+};
+
+test("sizes are floored to the quantity step", () => {
+  const risk = riskManager();
+
+  assert.strictEqual(risk.formatPositionSize(0.1 + 0.2, "BTC-USDT", SPEC), 0.3);
+  assert.strictEqual(risk.formatPositionSize(0.0059, "BTC-USDT", SPEC), 0.005);
+  assert.strictEqual(
+    risk.formatPositionSize(0.3, "BTC-USDT", { quantityStep: 0.1 }),
+    0.3
+  );
+  assert.strictEqual(
+    risk.formatPositionSize(12.99, "DOGE-USDT", { quantityStep: 1 }),
+    12
+  );
+});
+
+test("prices are rounded to the tick size", () => {
+  const risk = riskManager();
+
+  assert.strictEqual(risk.formatPrice(43251.349, SPEC), 43251.3);
+  assert.strictEqual(risk.formatPrice(43251.35, SPEC), 43251.4);
+  assert.strictEqual(risk.formatPrice(0.1 + 0.2, { tickSize: 0.0001 }), 0.3);
+  assert.strictEqual(risk.formatPrice(1.23456), 1.23456);
+});
+
+test("orders below the contract minimums are rejected", () => {
+  const risk = riskManager();
+
+  assert.strictEqual(risk.meetsContractMinimums(0.001, 50000, SPEC), false);
+  assert.strictEqual(risk.meetsContractMinimums(0.002, 2000, SPEC), false);
+  assert.strictEqual(risk.meetsContractMinimums(0.002, 2500, SPEC), true);
+  assert.strictEqual(risk.meetsContractMinimums(0.0001, 1, null), true);
+});
+
+test("take profit tranches add up to the position size", () => {
+  const risk = riskManager();
+  const ladder = [
+    { percent: 50, r: 1 },
+    { percent: 30, r: 2 },
+    { percent: 20, r: null },
+  ];
+
+  const tranches = risk.splitQuantity(0.017, ladder, SPEC);
+  const quantities = tranches.map((tranche) => tranche.quantity);
+  const total = quantities.reduce((sum, quantity) => sum + quantity, 0);
+
+  assert.deepStrictEqual(quantities, [0.008, 0.005, 0.004]);
+  assert.strictEqual(risk.formatPositionSize(total, "BTC-USDT", SPEC), 0.017);
+  assert.deepStrictEqual(
+    tranches.map((tranche) => tranche.r),
+    [1, 2, null]
+  );
+
+  const unrounded = risk.splitQuantity(0.3, ladder);
+  assert.ok(
+    Math.abs(unrounded.reduce((sum, t) => sum + t.quantity, 0) - 0.3) < 1e-12
+  );
+});
@@ -0,0 +1,177 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require("../config");
+const SimulatedExchange = require("../simulated-exchange");
+
+const SYMBOL = "BTC-USDT";
+
+/**
+ * Exchange replaying a flat warm-up at 100 followed by the given
+ * [open, high, low, close] bars (0.1% taker fee, no maker fee or slippage)
+ */
+function exchangeWith(bars) {
+  const prices = [
+    ...Array(config.candleLimit).fill([100, 100, 100, 100]),
+    ...bars,
+  ];
+  const candles = prices.map(([open, high, low, close], i) => ({
+    time: 1735689600000 + i * 900000,
+    open,
+    high,
+    low,
+    close,
+    volume: 100,
+  }));
+
+  const exchange = new SimulatedExchange({
+    candles,
+    symbol: SYMBOL,
+    initialBalance: 1000,
+    feeRate: 0.001,
+    makerFeeRate: 0,
+    slippagePercent: 0,
+  });
+  exchange.advance(SYMBOL); // Warm-up window, as the bot's first getKlines()
+  return exchange;
+}
+
+function exits(exchange) {
+  return exchange.history
+    .filter((fill) => fill.type !== "MARKET" && fill.type !== "LIMIT")
+    .map(({ type, price, quantity }) => ({ type, price, quantity }));
+}
+
+test("market orders fill at the close and attach SL / TP", async () => {
+  const exchange = exchangeWith([[100, 101, 99, 100]]);
+
+  const result = await exchange.placeOrder(SYMBOL, "BUY", 2, 95, 110);
+  const [position] = await exchange.getPositions(SYMBOL);
+  const orders = await exchange.getOpenOrders(SYMBOL);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(position.entryPrice, 100);
+  assert.strictEqual(position.size, 2);
+  assert.strictEqual(exchange.balance, 1000 - 0.2);
+  assert.deepStrictEqual(
+    orders.map((o) => [o.type, o.stopPrice, o.quantity]),
+    [
+      ["STOP_MARKET", 95, 2],
+      ["TAKE_PROFIT_MARKET", 110, 2],
+    ]
+  );
+});
+
+test("the stop loss fills first when SL and TP are inside the same bar", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const exchange = exchangeWith([[100, 112, 94, 105]]);
+  await exchange.placeOrder(SYMBOL, "BUY", 2, 95, 110);
+
+  exchange.advance(SYMBOL);
+
+  assert.deepStrictEqual(exits(exchange), [
+    { type: "STOP_MARKET", price: 95, quantity: 2 },
+  ]);
+  assert.deepStrictEqual(await exchange.getPositions(SYMBOL), []);
+});
+
+test("take profit tranches fill nearest first", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const exchange = exchangeWith([
+    [100, 106, 99, 104],
+    [111, 115, 110.5, 112],
+  ]);
+  await exchange.placeOrder(SYMBOL, "BUY", 3, 90, null);
+  await exchange.placeTakeProfitOrder(SYMBOL, "LONG", 1, 110);
+  await exchange.placeTakeProfitOrder(SYMBOL, "LONG", 1, 105);
+  await exchange.placeTakeProfitOrder(SYMBOL, "LONG", 1, 113);
+
+  exchange.advance(SYMBOL);
+  assert.deepStrictEqual(exits(exchange), [
+    { type: "TAKE_PROFIT_MARKET", price: 105, quantity: 1 },
+  ]);
+
+  // The next bar gaps over the 110 target: filled at the open
+  exchange.advance(SYMBOL);
+  assert.deepStrictEqual(exits(exchange).slice(1), [
+    { type: "TAKE_PROFIT_MARKET", price: 111, quantity: 1 },
+    { type: "TAKE_PROFIT_MARKET", price: 113, quantity: 1 },
+  ]);
+  assert.deepStrictEqual(await exchange.getPositions(SYMBOL), []);
+});
+
+test("resting limit orders fill when a later bar trades through them", async () => {
+  const exchange = exchangeWith([
+    [99.5, 100, 98.5, 99],
+    [99, 99.5, 97.5, 98],
+  ]);
+
+  const { orderId } = await exchange.placeOrder(SYMBOL, "BUY", 1, 95, 105, {
+    type: "LIMIT",
+    price: 98,
+    postOnly: true,
+  });
+  assert.strictEqual((await exchange.getOrder(SYMBOL, orderId)).status, "NEW");
+
+  exchange.advance(SYMBOL);
+  assert.deepStrictEqual(await exchange.getPositions(SYMBOL), []);
+
+  exchange.advance(SYMBOL);
+  const order = await exchange.getOrder(SYMBOL, orderId);
+  const [position] = await exchange.getPositions(SYMBOL);
+
+  assert.strictEqual(order.status, "FILLED");
+  assert.strictEqual(order.avgPrice, 98);
+  assert.strictEqual(position.entryPrice, 98);
+  assert.strictEqual(exchange.balance, 1000); // Maker fee is zero here
+  assert.strictEqual(
+    (await exchange.getOpenOrders(SYMBOL)).filter((o) => o.stopPrice).length,
+    2
+  );
+});
+
+test("a gap through a limit price fills at the better open", async () => {
+  const exchange = exchangeWith([[96, 97, 95, 96.5]]);
+  await exchange.placeOrder(SYMBOL, "BUY", 1, null, null, {
+    type: "LIMIT",
+    price: 98,
+  });
+
+  exchange.advance(SYMBOL);
+
+  assert.strictEqual(exchange.positions[0].entryPrice, 96);
+});
+
+test("marketable limit orders fill at once, post-only ones are rejected", async () => {
+  const exchange = exchangeWith([]);
+
+  const postOnly = await exchange.placeOrder(SYMBOL, "BUY", 1, null, null, {
+    type: "LIMIT",
+    price: 101,
+    postOnly: true,
+  });
+  assert.strictEqual(postOnly.success, false);
+  assert.deepStrictEqual(exchange.positions, []);
+
+  await exchange.placeOrder(SYMBOL, "BUY", 1, null, null, {
+    type: "LIMIT",
+    price: 101,
+  });
+  assert.strictEqual(exchange.positions[0].entryPrice, 100);
+  assert.strictEqual(exchange.history[0].fee, 0.1); // Taker fee
+});
+
+test("the replay stops at the end of the data", async (t) => {
+  const log = t.mock.method(console, "log", () => {});
+  const exchange = exchangeWith([[100, 101, 99, 100.5]]);
+
+  const before = await exchange.getKlines(SYMBOL, config.interval, 2);
+  const atEnd = await exchange.getKlines(SYMBOL, config.interval, 2);
+  const after = await exchange.getKlines(SYMBOL, config.interval, 2);
+
+  assert.strictEqual(before[1].close, 100.5);
+  assert.deepStrictEqual(atEnd, before);
+  assert.deepStrictEqual(after, before);
+  assert.strictEqual(exchange.now().getTime(), before[1].time);
+  assert.strictEqual(log.mock.callCount(), 1);
+  assert.match(log.mock.calls[0].arguments[0], /fin de los datos/);
+});
@@ -0,0 +1,222 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const TradeLedger = require("../trade-ledger");
+const BingXAPI = require("../bingx-api");
+
+const HOUR = 3600000;
+const NOW = Date.UTC(2025, 0, 10);
+
+function fill(overrides) {
+  return {
+    orderId: overrides.orderId,
+    positionId: null,
+    symbol: "BTC-USDT",
+    side: "BUY",
+    positionSide: "LONG",
+    type: "MARKET",
+    price: 100,
+    stopPrice: null,
+    quantity: 1,
+    fee: 0.1,
+    time: NOW - 10 * HOUR,
+    ...overrides,
+  };
+}
+
+// Exchange stub serving a fixed fill and funding history
+function ledgerWith(fills, funding = []) {
+  const api = {
+    now: () => new Date(NOW),
+    getFilledOrders: async () => fills,
+    getFundingFees: async () => funding,
+  };
+  return new TradeLedger(api, { file: null, lookbackDays: 7 });
+}
+
+test("fills are grouped by positionId", async () => {
+  const ledger = ledgerWith([
+    fill({ orderId: 1, positionId: "A", time: NOW - 9 * HOUR }),
+    fill({
+      orderId: 2,
+      positionId: "B",
+      side: "SELL",
+      positionSide: "SHORT",
+      price: 200,
+      time: NOW - 8 * HOUR,
+    }),
+    fill({
+      orderId: 3,
+      positionId: "A",
+      side: "SELL",
+      price: 110,
+      type: "TAKE_PROFIT_MARKET",
+      time: NOW - 7 * HOUR,
+    }),
+    fill({
+      orderId: 4,
+      positionId: "B",
+      side: "BUY",
+      positionSide: "SHORT",
+      price: 205,
+      type: "STOP_MARKET",
+      time: NOW - 6 * HOUR,
+    }),
+  ]);
+
+  const trips = await ledger.sync(["BTC-USDT"]);
+  const byId = Object.fromEntries(trips.map((trip) => [trip.positionId, trip]));
+
+  assert.strictEqual(trips.length, 2);
+  assert.strictEqual(byId.A.type, "LONG");
+  assert.strictEqual(byId.A.exitReason, "TAKE_PROFIT");
+  assert.strictEqual(byId.A.grossPnl, 10);
+  assert.strictEqual(byId.B.type, "SHORT");
+  assert.strictEqual(byId.B.exitReason, "STOP_LOSS");
+  assert.strictEqual(byId.B.grossPnl, -5);
+  assert.ok(Math.abs(byId.B.netPnl - -5.2) < 1e-9);
+
+  // Already recorded round trips are not returned again
+  assert.deepStrictEqual(await ledger.sync(["BTC-USDT"]), []);
+});
+
+test("fills without positionId are netted per symbol and side", async () => {
+  const ledger = ledgerWith([
+    // Exit of a position opened before the lookback window: ignored
+    fill({ orderId: 1, side: "SELL", time: NOW - 12 * HOUR }),
+    fill({ orderId: 2, quantity: 2, time: NOW - 10 * HOUR }),
+    fill({ orderId: 3, side: "SELL", price: 101, time: NOW - 9 * HOUR }),
+    fill({ orderId: 4, side: "SELL", price: 103, time: NOW - 8 * HOUR }),
+    fill({ orderId: 5, price: 104, time: NOW - 7 * HOUR }),
+    fill({ orderId: 6, side: "SELL", price: 102, time: NOW - 6 * HOUR }),
+  ]);
+
+  const trips = await ledger.sync(["BTC-USDT"]);
+
+  assert.strictEqual(trips.length, 2);
+  assert.strictEqual(trips[0].quantity, 2);
+  assert.strictEqual(trips[0].exits, 2);
+  assert.strictEqual(trips[0].exitPrice, 102);
+  assert.strictEqual(trips[0].grossPnl, 4);
+  assert.strictEqual(trips[1].entryPrice, 104);
+  assert.strictEqual(trips[1].grossPnl, -2);
+});
+
+test("a position still partly open is not recorded until fully closed", async () => {
+  const fills = [
+    fill({ orderId: 1, positionId: "A", quantity: 2 }),
+    fill({
+      orderId: 2,
+      positionId: "A",
+      side: "SELL",
+      price: 110,
+      time: NOW - 9 * HOUR,
+    }),
+  ];
+  const ledger = ledgerWith(fills);
+
+  assert.deepStrictEqual(await ledger.sync(["BTC-USDT"]), []);
+
+  fills.push(
+    fill({
+      orderId: 3,
+      positionId: "A",
+      side: "SELL",
+      price: 90,
+      type: "STOP_MARKET",
+      time: NOW - 8 * HOUR,
+    })
+  );
+  const [trip] = await ledger.sync(["BTC-USDT"]);
+
+  assert.strictEqual(trip.exits, 2);
+  assert.strictEqual(trip.exitPrice, 100);
+  assert.strictEqual(trip.grossPnl, 0);
+  assert.strictEqual(trip.exitReason, "STOP_LOSS");
+});
+
+test("only funding paid during the round trip counts", async () => {
+  const ledger = ledgerWith(
+    [
+      fill({ orderId: 1, positionId: "A", time: NOW - 10 * HOUR }),
+      fill({
+        orderId: 2,
+        positionId: "A",
+        side: "SELL",
+        price: 105,
+        time: NOW - 2 * HOUR,
+      }),
+    ],
+    [
+      { symbol: "BTC-USDT", amount: -1, time: NOW - 11 * HOUR },
+      { symbol: "BTC-USDT", amount: -0.25, time: NOW - 8 * HOUR },
+      { symbol: "BTC-USDT", amount: 0.05, time: NOW - 4 * HOUR },
+      { symbol: "BTC-USDT", amount: -1, time: NOW - HOUR },
+    ]
+  );
+
+  const [trip] = await ledger.sync(["BTC-USDT"]);
+
+  assert.ok(Math.abs(trip.funding - -0.2) < 1e-9);
+  assert.ok(Math.abs(trip.netPnl - (5 - 0.2 - 0.2)) < 1e-9);
+});
+
+test("slippage is measured against the expected and trigger prices", async () => {
+  const ledger = ledgerWith([
+    fill({ orderId: 1, positionId: "A", price: 100.5 }),
+    fill({
+      orderId: 2,
+      positionId: "A",
+      side: "SELL",
+      type: "STOP_MARKET",
+      price: 94.8,
+      stopPrice: 95,
+      time: NOW - 9 * HOUR,
+    }),
+  ]);
+  ledger.expect(1, 100);
+
+  const [trip] = await ledger.sync(["BTC-USDT"]);
+
+  assert.ok(Math.abs(trip.entrySlippage - 0.5) < 1e-9);
+  assert.ok(Math.abs(trip.exitSlippage - 0.2) < 1e-9);
+  assert.deepStrictEqual(ledger.exportState().expectedPrices, {});
+});
+
+test("maker rebates lower the fees", async () => {
+  const ledger = ledgerWith([
+    fill({ orderId: 1, positionId: "A", type: "LIMIT", fee: -0.02 }),
+    fill({
+      orderId: 2,
+      positionId: "A",
+      side: "SELL",
+      price: 101,
+      fee: 0.05,
+      time: NOW - 9 * HOUR,
+    }),
+  ]);
+
+  const [trip] = await ledger.sync(["BTC-USDT"]);
+
+  assert.ok(Math.abs(trip.fees - 0.03) < 1e-9);
+  assert.ok(Math.abs(trip.netPnl - 0.97) < 1e-9);
+});
+
+test("BingX commissions keep their sign as fees", async () => {
+  const api = Object.create(BingXAPI.prototype);
+  api.request = async () => ({
+    data: {
+      orders: [
+        { orderId: 1, executedQty: "1", avgPrice: "100", commission: "-0.05" },
+        { orderId: 2, executedQty: "1", avgPrice: "100", commission: "0.02" },
+        { orderId: 3, executedQty: "0", avgPrice: "0", commission: "0" },
+      ],
+    },
+  });
+
+  const fills = await api.getFilledOrders("BTC-USDT");
+
+  assert.deepStrictEqual(
+    fills.map((f) => f.fee),
+    [0.05, -0.02]
+  );
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require("../config");
+const WebhookStrategy = require("../strategies/webhook");
+const { makeCandles } = require("./fixtures");
+
+const candles = makeCandles(120);
+
+function alert(id, side, now = Date.now()) {
+  return { id, symbol: "BTC-USDT", side, sentAt: now, expiresAt: now + 60000 };
+}
+
+test("a CLOSE alert stays queued until acknowledged", () => {
+  const strategy = new WebhookStrategy();
+  const close = alert("a", "CLOSE");
+  strategy.receiveAlert(close);
+
+  // e.g. a limit entry still working: analyzed but not acted upon
+  assert.strictEqual(strategy.analyze(candles, config).alert, close);
+  assert.strictEqual(strategy.analyze(candles, config).alert, close);
+
+  strategy.acknowledgeAlert(close);
+  assert.strictEqual(strategy.analyze(candles, config).alert, null);
+});
+
+test("the newest alert replaces older ones", () => {
+  const strategy = new WebhookStrategy();
+  strategy.receiveAlert(alert("a", "LONG"));
+  const short = alert("b", "SHORT");
+  strategy.receiveAlert(short);
+
+  const analysis = strategy.analyze(candles, config);
+  assert.strictEqual(analysis.alert, short);
+  assert.strictEqual(analysis.longSignal.signal, false);
+  assert.deepStrictEqual(strategy.alerts, [short]);
+});
+
+test("expired alerts are dropped", () => {
+  const strategy = new WebhookStrategy();
+  strategy.receiveAlert(alert("a", "LONG", Date.now() - 120000));
+
+  assert.strictEqual(strategy.analyze(candles, config).alert, null);
+  assert.deepStrictEqual(strategy.alerts, []);
+});
@@ -0,0 +1,244 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+// Exit reason by the order type of the last exit fill
+const EXIT_REASONS = {
+  STOP_MARKET: "STOP_LOSS",
+  TAKE_PROFIT_MARKET: "TAKE_PROFIT",
+  MARKET: "MARKET",
+};
+
+/**
+ * Trade Ledger
+ * Rebuilds round trips from the exchange fill history (entries, exits and
+ * triggered SL/TP orders), so realized PnL, fees, funding and slippage are
+ * recorded for every closed position, including ones closed by the exchange.
+ * Round trips are appended to a JSON Lines file, once per position.
+ */
+class TradeLedger {
+  constructor(api, options = {}) {
+    const settings = { ...config.ledger, ...options };
+
+    this.api = api;
+    this.filePath = settings.file ? path.resolve(settings.file) : null;
+    this.lookback = settings.lookbackDays * 86400000;
+    this.expectedPrices = {}; // orderId → price the bot expected when sending it
+    this.recorded = new Set(this.load().map((trip) => trip.positionId));
+  }
+
+  /**
+   * Round trips recorded so far
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return [];
+
+    return fs
+      .readFileSync(this.filePath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Remember the expected price of a market order to measure its slippage
+   */
+  expect(orderId, price) {
+    if (orderId && price) this.expectedPrices[orderId] = price;
+  }
+
+  /**
+   * Expected prices of orders not yet in a round trip, for persisting
+   */
+  exportState() {
+    return { expectedPrices: this.expectedPrices };
+  }
+
+  /**
+   * Restore state saved by exportState()
+   */
+  restoreState(state) {
+    this.expectedPrices = state?.expectedPrices || {};
+  }
+
+  /**
+   * Record every round trip closed within the lookback window that is not
+   * in the ledger yet
+   *
+   * @returns {Array} Newly recorded round trips
+   */
+  async sync(symbols) {
+    const endTime = this.api.now().getTime();
+    const startTime = endTime - this.lookback;
+    const trips = [];
+
+    for (const symbol of symbols) {
+      const fills = await this.api.getFilledOrders(symbol, {
+        startTime,
+        endTime,
+      });
+      const closed = this.groupByPosition(fills)
+        .map((group) => ({ fills: group, trip: this.buildRoundTrip(group) }))
+        .filter(({ trip }) => trip && !this.recorded.has(trip.positionId));
+      if (closed.length === 0) continue;
+
+      const funding = await this.api.getFundingFees(symbol, {
+        startTime,
+        endTime,
+      });
+
+      for (const { fills: tripFills, trip } of closed) {
+        trip.funding = funding
+          .filter((f) => f.time >= trip.entryTime && f.time <= trip.exitTime)
+          .reduce((sum, f) => sum + f.amount, 0);
+        trip.netPnl = trip.grossPnl - trip.fees + trip.funding;
+
+        this.record(trip);
+        trips.push(trip);
+        tripFills.forEach((fill) => delete this.expectedPrices[fill.orderId]);
+      }
+    }
+
+    return trips;
+  }
+
+  /**
+   * Whether a fill opens (or adds to) its position
+   */
+  isEntry(fill) {
+    return (fill.side === "BUY") === (fill.positionSide === "LONG");
+  }
+
+  /**
+   * Group fills by position. Fills without a positionId are assigned by
+   * netting entries and exits per symbol and side in time order.
+   */
+  groupByPosition(fills) {
+    const groups = new Map();
+    const netting = {};
+
+    for (const fill of [...fills].sort((a, b) => a.time - b.time)) {
+      const sideKey = `${fill.symbol}:${fill.positionSide}`;
+      let key = fill.positionId ? String(fill.positionId) : null;
+
+      if (!key) {
+        const open = netting[sideKey];
+        if (this.isEntry(fill)) {
+          netting[sideKey] = open || { key: `${sideKey}:${fill.time}`, net: 0 };
+          netting[sideKey].net += fill.quantity;
+          key = netting[sideKey].key;
+        } else if (open) {
+          key = open.key;
+          open.net -= fill.quantity;
+          if (open.net <= 1e-9) delete netting[sideKey];
+        } else {
+          // Exit of a position opened before the lookback window
+          continue;
+        }
+      }
+
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ ...fill, positionId: key });
+    }
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Build a round trip from the fills of one position, or null while the
+   * position is still open (or its entry is outside the window)
+   */
+  buildRoundTrip(fills) {
+    const entries = fills.filter((fill) => this.isEntry(fill));
+    const exits = fills.filter((fill) => !this.isEntry(fill));
+    if (entries.length === 0 || exits.length === 0) return null;
+
+    const quantity = sumOf(entries, (fill) => fill.quantity);
+    const closedQuantity = sumOf(exits, (fill) => fill.quantity);
+    if (closedQuantity < quantity - 1e-9) return null;
+
+    const side = entries[0].positionSide;
+    const direction = side === "LONG" ? 1 : -1;
+    const entryPrice = averagePrice(entries);
+    const exitPrice = averagePrice(exits);
+    const lastExit = exits[exits.length - 1];
+
+    return {
+      positionId: entries[0].positionId,
+      symbol: entries[0].symbol,
+      type: side,
+      quantity,
+      entryTime: entries[0].time,
+      entryPrice,
+      exitTime: lastExit.time,
+      exitPrice,
+      exitReason: EXIT_REASONS[lastExit.type] || lastExit.type,
+      exits: exits.length,
+      grossPnl: (exitPrice - entryPrice) * closedQuantity * direction,
+      fees: sumOf(fills, (fill) => fill.fee || 0),
+      funding: 0,
+      netPnl: 0,
+      entrySlippage: this.slippage(entries),
+      exitSlippage: this.slippage(exits),
+    };
+  }
+
+  /**
+   * Cost of slippage in USDT (positive = filled worse than expected) against
+   * the price the bot expected or the trigger price of SL/TP orders.
+   * Null when no fill has a known expected price.
+   */
+  slippage(fills) {
+    let known = false;
+    let cost = 0;
+
+    for (const fill of fills) {
+      const expected = this.expectedPrices[fill.orderId] ?? fill.stopPrice;
+      if (!expected) continue;
+
+      known = true;
+      const direction = fill.side === "BUY" ? 1 : -1;
+      cost += (fill.price - expected) * fill.quantity * direction;
+    }
+
+    return known ? cost : null;
+  }
+
+  /**
+   * Append a round trip to the ledger
+   */
+  record(trip) {
+    this.recorded.add(trip.positionId);
+
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(
+        this.filePath,
+        JSON.stringify({
+          ...trip,
+          entryTime: new Date(trip.entryTime).toISOString(),
+          exitTime: new Date(trip.exitTime).toISOString(),
+        }) + "\n"
+      );
+    }
+  }
+}
+
+/**
+ * Sum of a value over a list
+ */
+function sumOf(list, value) {
+  return list.reduce((sum, item) => sum + value(item), 0);
+}
+
+/**
+ * Volume-weighted average fill price
+ */
+function averagePrice(fills) {
+  return (
+    sumOf(fills, (fill) => fill.price * fill.quantity) /
+    sumOf(fills, (fill) => fill.quantity)
+  );
+}
+
+module.exports = TradeLedger;
@@ -0,0 +1,123 @@
+const Indicators = require("./indicators");
+
+/**
+ * Trailing Stop Manager
+ * Decides where the stop loss of an open trade should be moved:
+ * to breakeven after a given profit in R, and/or trailing the price
+ * by ATR, a fixed percentage or the latest swing low/high
+ */
+class TrailingStopManager {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Profit of the trade in multiples of its initial risk (R)
+   */
+  profitInR(trade, price) {
+    const risk = Math.abs(trade.entryPrice - trade.initialStop);
+    if (risk === 0) return 0;
+
+    const direction = trade.side === "LONG" ? 1 : -1;
+    return ((price - trade.entryPrice) * direction) / risk;
+  }
+
+  /**
+   * Evaluate the stop for an open trade
+   *
+   * @param {Object} trade - { side, entryPrice, initialStop, stopLoss }
+   * @param {Object} indicators - Latest computeIndicators() result
+   * @param {Array} candles - Candles used for the analysis (oldest first)
+   * @returns {Object|null} { stopLoss, reason } if the stop should move
+   */
+  evaluate(trade, indicators, candles) {
+    const settings = this.config.trailingStop;
+    if (!settings?.enabled) return null;
+
+    const price = indicators.currentPrice;
+    const isLong = trade.side === "LONG";
+    const direction = isLong ? 1 : -1;
+    const profitR = this.profitInR(trade, price);
+    const candidates = [];
+
+    // Move to breakeven (plus a small offset to cover fees)
+    if (settings.breakevenAtR !== null && profitR >= settings.breakevenAtR) {
+      candidates.push({
+        stopLoss:
+          trade.entryPrice *
+          (1 + (direction * (settings.breakevenOffsetPercent || 0)) / 100),
+        reason: `Breakeven tras +${settings.breakevenAtR}R`,
+      });
+    }
+
+    if (settings.mode && profitR >= settings.activationR) {
+      const trailing = this.trailingStop(
+        trade.side,
+        price,
+        indicators,
+        candles
+      );
+      if (trailing !== null) {
+        candidates.push({
+          stopLoss: trailing,
+          reason: `Trailing stop (${settings.mode})`,
+        });
+      }
+    }
+
+    // Most protective candidate that is still on the right side of price
+    const valid = candidates.filter((c) =>
+      isLong ? c.stopLoss < price : c.stopLoss > price
+    );
+    if (valid.length === 0) return null;
+
+    const best = valid.reduce((a, b) =>
+      (isLong ? b.stopLoss > a.stopLoss : b.stopLoss < a.stopLoss) ? b : a
+    );
+
+    // Stops only ever tighten, and only by a meaningful step
+    const minStep = trade.stopLoss * ((settings.minStepPercent || 0) / 100);
+    const improvement = (best.stopLoss - trade.stopLoss) * direction;
+    if (improvement <= minStep) return null;
+
+    return best;
+  }
+
+  /**
+   * Trailing stop level for the configured mode
+   */
+  trailingStop(side, price, indicators, candles) {
+    const settings = this.config.trailingStop;
+    const isLong = side === "LONG";
+
+    switch (settings.mode) {
+      case "atr":
+        if (!indicators.atr) return null;
+        return isLong
+          ? price - indicators.atr * settings.atrMultiplier
+          : price + indicators.atr * settings.atrMultiplier;
+
+      case "percent":
+        return isLong
+          ? price * (1 - settings.percent / 100)
+          : price * (1 + settings.percent / 100);
+
+      case "swing":
+        // Exclude the current candle so the stop sits below/above completed bars
+        return isLong
+          ? Indicators.findSwingLow(
+              candles.slice(0, -1),
+              settings.swingLookback
+            )
+          : Indicators.findSwingHigh(
+              candles.slice(0, -1),
+              settings.swingLookback
+            );
+
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = TrailingStopManager;